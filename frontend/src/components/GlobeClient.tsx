@@ -4,28 +4,68 @@ import { useEffect, useRef, useState } from "react";
 import dynamic from "next/dynamic";
 import type { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import type { GlobeMethods } from "react-globe.gl";
-import { BgpArcV0 } from "@/types/events";
+import { BgpArc } from "@/types/events";
+import { WIRE_PROTOCOLS, decodeFrame } from "@/lib/wire";
 
 const Globe = dynamic(() => import("react-globe.gl"), { ssr: false });
 
+const RPKI_INVALID_COLOR = "#ff2d55";
+
+// RPKI-invalid announcements are highlighted on the globe
+const isRpkiInvalid = (arc: BgpArc) =>
+  arc.rpki === "invalid-asn" || arc.rpki === "invalid-length";
+
+// Blackholed prefixes (DDoS mitigation) are drawn as thick solid arcs in their own color
+const isBlackhole = (arc: BgpArc) => arc.event === "blackhole";
+
+const ARC_ANIMATE_MS = 1500; // one dash cycle = one arc length
+
+// Hops start drawing one after another from the origin end, HOP_GAP arc lengths
+// (150ms) apart, squeezed so the last one starts within CHAIN_MS; arcs only live
+// for TTL_MS, so the whole chain has to be under way well before that
+const HOP_GAP = 0.1;
+const CHAIN_MS = 600;
+
+// One drawn arc; _hop counts segments from the origin end of the path,
+// _gap is where its dash starts (arcDashInitialGap, in arc lengths)
+type ArcSegment = BgpArc & { _arrived: number; _hop: number; _gap: number };
+
+// v1 events become one arc per hop, drawn the way the route propagated
+// (origin -> ... -> peer -> collector); v0 events stay a single peer -> origin arc
+const toSegments = (event: BgpArc, arrived: number): ArcSegment[] => {
+  if (event.schema !== "bgp.arc.v1" || event.hops.length < 2) {
+    return [{ ...event, _arrived: arrived, _hop: 0, _gap: 0 }];
+  }
+  const { hops } = event;
+  const gap = Math.min(HOP_GAP, CHAIN_MS / ARC_ANIMATE_MS / (hops.length - 1));
+  return hops.slice(1).map((hop, i) => ({
+    ...event,
+    src: hop,
+    dst: hops[i],
+    _arrived: arrived,
+    _hop: hops.length - 2 - i,
+    _gap: (hops.length - 2 - i) * gap,
+  }));
+};
+
 export default function GlobeClient() {
   const globeRef = useRef<GlobeMethods | null>(null);
-  const [arcs, setArcs] = useState<(BgpArcV0 & { _arrived: number })[]>([]);
+  const [arcs, setArcs] = useState<ArcSegment[]>([]);
 
   const TTL_MS = 1000; // 1 seconds
 
   // WebSocket + TTL
   useEffect(() => {
-    const ws = new WebSocket("ws://localhost:8000/ws/live");
+    const ws = new WebSocket("ws://localhost:8000/ws/live", WIRE_PROTOCOLS);
     ws.onmessage = (e) => {
       try {
-        const msg = JSON.parse(e.data);
+        const msg = decodeFrame(e.data, ws.protocol);
         if (msg.type === "bgp" && Array.isArray(msg.items)) {
           setArcs((prev) => {
             const now = Date.now() / 1000; // seconds
             const cutoff = now - TTL_MS / 1000;
             const afterCutoff = prev.filter((a) => a._arrived >= cutoff);
-            const fresh = msg.items.map((d: any) => ({ ...d, _arrived: now }));
+            const fresh = (msg.items as BgpArc[]).flatMap((d) => toSegments(d, now));
             return [...afterCutoff, ...fresh];
           });
           console.log("WebSocket message received:", msg.items);
@@ -71,7 +111,7 @@ export default function GlobeClient() {
         arcEndLng={(d: any) => d.dst.lng}
         arcColor={(d: any) => {
           const age = getAge(d);
-          if (age < 10) return d.color; // fresh = bright
+          if (age < 10) return isRpkiInvalid(d) ? RPKI_INVALID_COLOR : d.color; // fresh = bright
           if (age < 20) return "rgba(200,200,200,0.7)";
           return "rgba(150,150,150,0.3)"; // near expiry = faded
         }}
@@ -81,10 +121,11 @@ export default function GlobeClient() {
           if (age < 20) return 0.15;
           return 0.05;
         }}
-        arcStroke={0.7}
-        arcDashLength={0.4}
-        arcDashGap={0.2}
-        arcDashAnimateTime={1500}
+        arcStroke={(d: object) => (isBlackhole(d as BgpArc) ? 1.8 : isRpkiInvalid(d as BgpArc) ? 1.4 : 0.7)}
+        arcDashLength={(d: object) => (isBlackhole(d as BgpArc) ? 1 : 0.4)}
+        arcDashGap={(d: object) => (isBlackhole(d as BgpArc) ? 0 : 0.2)}
+        arcDashInitialGap={(d: object) => (d as ArcSegment)._gap}
+        arcDashAnimateTime={ARC_ANIMATE_MS}
       />
     </div>
   );
@@ -0,0 +1,49 @@
+// src/lib/wire.ts
+// Decoding for the /ws/live frame encodings (see services/gateway/codecs.js)
+
+// Offered in preference order; the gateway picks the first one it supports
+export const WIRE_PROTOCOLS = ["bgp.columnar.v0", "bgp.json.v0"];
+
+type Column = unknown[] | { dict: unknown[]; idx: number[] };
+
+export type WireFrame = {
+  type: string;
+  items?: Record<string, unknown>[];
+  n?: number;
+  cols?: Record<string, Column>;
+  [key: string]: unknown;
+};
+
+export function decodeFrame(data: string, protocol: string): WireFrame {
+  const frame = JSON.parse(data) as WireFrame;
+  if (protocol === "bgp.columnar.v0" && frame.type === "bgp" && frame.cols) {
+    return fromColumnar(frame);
+  }
+  return frame;
+}
+
+// Rebuild item objects from column arrays; "src.lat" columns become nested objects
+function fromColumnar(frame: WireFrame): WireFrame {
+  const { cols = {}, n = 0, ...rest } = frame;
+  const items: Record<string, unknown>[] = Array.from({ length: n }, () => ({}));
+
+  for (const [key, column] of Object.entries(cols)) {
+    const values = Array.isArray(column)
+      ? column
+      : column.idx.map((i) => column.dict[i]);
+    const [outer, inner] = key.split(".", 2);
+
+    values.forEach((value, row) => {
+      if (value === null) return;
+      const item = items[row];
+      if (inner === undefined) {
+        item[outer] = value;
+      } else {
+        const nested = (item[outer] ??= {}) as Record<string, unknown>;
+        nested[inner] = value;
+      }
+    });
+  }
+
+  return { ...rest, items };
+}
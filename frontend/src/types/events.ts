@@ -16,19 +16,56 @@ export type TlsPoint = {
   radius?: number;  // default in UI
 };
 
+export type GeoPoint = {
+  lat: number;
+  lng: number;
+  name?: string;
+  country?: string;
+  confidence?: number;   // 0..1, how sure ingest is about the ASN's location
+};
+
+export type RpkiStatus = "valid" | "invalid-asn" | "invalid-length" | "not-found";
+
+// A decoded BGP community, e.g. { value: "65535:666", type: "standard", meaning: "BLACKHOLE", blackhole: true }
+export type Community = {
+  value: string;
+  type: "standard" | "extended" | "large";
+  meaning?: string;      // when ingest knows the community
+  blackhole?: boolean;   // RTBH: the origin asked for the prefix to be dropped
+};
+
 export type BgpArcV0 = {
   schema: "bgp.arc.v0";
   ts: number;
-  event: "announce" | "withdraw";
+  event: "announce" | "withdraw" | "blackhole"; // blackhole: announced with an RTBH community
   prefix: string;
-  origin_asn: number;
+  family?: 4 | 6;        // address family of the prefix
+  origin_asn: number | null;  // withdrawals: null when ingest never saw the route
   peer_asn: number;
-  as_path: number[];
-  src: { lat: number; lng: number };
-  dst: { lat: number; lng: number };
+  as_path: number[];     // withdrawals: the path being withdrawn, when known
+  rpki?: RpkiStatus;     // announcements only, when ingest has VRPs loaded
+  visible_peers?: number; // withdrawals: peers that still see the prefix
+  communities?: Community[]; // announcements and blackholes
+  src: GeoPoint;
+  dst: GeoPoint;
   color: string;
 };
 
+// A located hop: the collector (rrc) first, then each ASN out to the origin
+export type PathHop = {
+  lat: number;
+  lng: number;
+  asn?: number;
+  rrc?: string;
+  confidence?: number;
+};
+
+export type BgpArcV1 = Omit<BgpArcV0, "schema"> & {
+  schema: "bgp.arc.v1";
+  hops: PathHop[];
+};
+
+export type BgpArc = BgpArcV0 | BgpArcV1;
 
 // Room to grow later (BGP, Outages, etc.)
 export type BgpEvent = {
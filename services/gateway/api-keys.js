@@ -0,0 +1,331 @@
+/**
+ * API Keys
+ * Key-based access control with per-key quotas for /ws/live and the REST endpoints
+ *
+ * Keys come from a JSON file (API_KEYS_FILE, reloaded on change) or a Redis hash
+ * (API_KEYS_HASH, field = key, value = JSON config, refreshed periodically):
+ *
+ *   {
+ *     "<key>": {
+ *       "name": "noc-dashboard",
+ *       "max_connections": 5,          // concurrent live connections (ws, sse, poll)
+ *       "max_events_per_sec": 200,     // events delivered per second across its connections
+ *       "max_requests_per_min": 60,    // REST requests per minute
+ *       "allowed_filters": {           // subscriptions must stay inside these values
+ *         "origin_asn": [13335],
+ *         "within": ["2606:4700::/32"]
+ *       },
+ *       "admin": true                  // may use the dead-letter API (/api/dlq)
+ *     }
+ *   }
+ *
+ * Clients send the key as "Authorization: Bearer <key>", "X-API-Key: <key>" or,
+ * where headers cannot be set (WebSocket, EventSource), as ?api_key=<key>.
+ */
+
+const fs = require('fs');
+const { parsePrefix, prefixCovers } = require('../shared/prefix-utils');
+
+const SET_FIELDS = ['event', 'origin_asn', 'peer_asn', 'rrc', 'country', 'rpki', 'family'];
+
+/**
+ * Token bucket refilled continuously at `rate` tokens per `perMs`
+ */
+class TokenBucket {
+  constructor(rate, perMs = 1000) {
+    this.capacity = rate;
+    this.tokens = rate;
+    this.refillPerMs = rate / perMs;
+    this.updated = Date.now();
+  }
+
+  take(count = 1) {
+    this.refill();
+    if (this.tokens < count) return false;
+    this.tokens -= count;
+    return true;
+  }
+
+  /**
+   * Take as many of `count` tokens as are available, returns how many were taken
+   */
+  takeUpTo(count) {
+    this.refill();
+    const taken = Math.min(count, Math.floor(this.tokens));
+    this.tokens -= taken;
+    return taken;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) * this.refillPerMs);
+    this.updated = now;
+  }
+}
+
+class ApiKeys {
+  /**
+   * @param {object} options - { file, redis, hash, refreshMs }
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.redis = options.redis || null;
+    this.hash = options.hash || null;
+    this.refreshMs = options.refreshMs || 30000;
+
+    this.keys = new Map();        // key -> config
+    this.connections = new Map(); // key -> open live connections
+    this.eventBuckets = new Map();
+    this.requestBuckets = new Map();
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Whether access control is configured at all
+   */
+  get enabled() {
+    return Boolean(this.file || this.hash);
+  }
+
+  /**
+   * Load keys and keep them fresh
+   */
+  async start() {
+    if (this.file) {
+      this.loadFile();
+      fs.watchFile(this.file, { interval: 2000 }, () => this.loadFile());
+    }
+
+    if (this.hash) {
+      await this.loadHash();
+      this.refreshTimer = setInterval(() => {
+        this.loadHash().catch(error => console.error('api key refresh error:', error));
+      }, this.refreshMs);
+    }
+  }
+
+  stop() {
+    if (this.file) fs.unwatchFile(this.file);
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+  }
+
+  loadFile() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.replaceKeys(Object.entries(parsed));
+      console.log(`loaded ${this.keys.size} API keys from ${this.file}`);
+    } catch (error) {
+      // Keep the previous keys when the file is mid-edit or broken
+      console.error(`failed to load API keys from ${this.file}:`, error.message);
+    }
+  }
+
+  async loadHash() {
+    const fields = await this.redis.hGetAll(this.hash);
+    const entries = [];
+    for (const [key, value] of Object.entries(fields)) {
+      try {
+        entries.push([key, JSON.parse(value)]);
+      } catch (error) {
+        console.error(`invalid API key config in ${this.hash} for ${key.slice(0, 4)}…`);
+      }
+    }
+    this.replaceKeys(entries);
+  }
+
+  replaceKeys(entries) {
+    this.keys = new Map(entries);
+
+    // Buckets outlive reloads (a fresh one starts full); only a removed key or a
+    // changed limit starts over, on the next bucket
+    dropStaleBuckets(this.eventBuckets, key => (this.keys.get(key) || {}).max_events_per_sec);
+    dropStaleBuckets(this.requestBuckets, key => (this.keys.get(key) || {}).max_requests_per_min);
+  }
+
+  /**
+   * Pull the key out of a request (Authorization, X-API-Key or ?api_key=)
+   */
+  extractKey(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+    if (req.headers['x-api-key']) return String(req.headers['x-api-key']).trim();
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('api_key');
+  }
+
+  /**
+   * Resolve a request to { key, config }, or { error, status } when it is refused
+   */
+  authenticate(req) {
+    if (!this.enabled) return { key: null, config: {} };
+
+    const key = this.extractKey(req);
+    if (!key) return { error: 'missing API key', status: 401 };
+
+    const config = this.keys.get(key);
+    if (!config) return { error: 'invalid API key', status: 401 };
+
+    return { key, config };
+  }
+
+  /**
+   * Reserve a live connection slot, false when the key is at its limit
+   */
+  acquireConnection(key) {
+    if (!key) return true;
+
+    const config = this.keys.get(key) || {};
+    const open = this.connections.get(key) || 0;
+    if (config.max_connections && open >= config.max_connections) return false;
+
+    this.connections.set(key, open + 1);
+    return true;
+  }
+
+  releaseConnection(key) {
+    if (!key) return;
+
+    const open = (this.connections.get(key) || 1) - 1;
+    if (open > 0) {
+      this.connections.set(key, open);
+    } else {
+      this.connections.delete(key);
+    }
+  }
+
+  /**
+   * Charge delivered events against the key's rate
+   * @returns {number} - how many of `count` events may be sent, the rest are dropped
+   */
+  allowEvents(key, count) {
+    if (!key) return count;
+
+    const config = this.keys.get(key) || {};
+    if (!config.max_events_per_sec) return count;
+
+    if (!this.eventBuckets.has(key)) {
+      this.eventBuckets.set(key, new TokenBucket(config.max_events_per_sec));
+    }
+    return this.eventBuckets.get(key).takeUpTo(count);
+  }
+
+  /**
+   * Charge one REST request, false means reject it
+   */
+  allowRequest(key) {
+    if (!key) return true;
+
+    const config = this.keys.get(key) || {};
+    if (!config.max_requests_per_min) return true;
+
+    if (!this.requestBuckets.has(key)) {
+      this.requestBuckets.set(key, new TokenBucket(config.max_requests_per_min, 60000));
+    }
+    return this.requestBuckets.get(key).take(1);
+  }
+
+  /**
+   * Narrow a requested filter spec to what the key may see
+   * Fields the client leaves out default to the allowed values; requesting
+   * anything outside them throws.
+   */
+  constrainFilters(key, spec = {}) {
+    if (!key) return spec;
+
+    const allowed = (this.keys.get(key) || {}).allowed_filters;
+    if (!allowed) return spec;
+
+    const constrained = { ...spec };
+
+    for (const field of SET_FIELDS) {
+      if (allowed[field] === undefined) continue;
+
+      const allowedValues = toList(allowed[field]).map(String);
+      const requested = toList(spec[field]);
+
+      if (requested.length === 0) {
+        constrained[field] = toList(allowed[field]);
+      } else if (!requested.every(value => allowedValues.includes(String(value)))) {
+        throw new Error(`${field} not allowed for this API key`);
+      }
+    }
+
+    if (allowed.within !== undefined) {
+      const allowedPrefixes = toList(allowed.within).map(value => parsePrefix(String(value)));
+      const requested = [...toList(spec.prefix), ...toList(spec.within)];
+
+      if (requested.length === 0) {
+        constrained.within = toList(allowed.within);
+      } else {
+        for (const value of requested) {
+          const parsed = parsePrefix(String(value));
+          if (!parsed || !allowedPrefixes.some(outer => prefixCovers(outer, parsed))) {
+            throw new Error(`prefix ${value} not allowed for this API key`);
+          }
+        }
+      }
+    }
+
+    return constrained;
+  }
+
+  /**
+   * Whether a key may use the operator endpoints
+   */
+  isAdmin(key) {
+    return Boolean(key && (this.keys.get(key) || {}).admin === true);
+  }
+
+  /**
+   * Express middleware for operator endpoints, after middleware()
+   * They are off entirely while access control is not configured.
+   */
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        res.status(403).json({ error: 'disabled: configure API keys with an admin key' });
+        return;
+      }
+      if (!this.isAdmin(req.apiKey)) {
+        res.status(403).json({ error: 'admin API key required' });
+        return;
+      }
+      next();
+    };
+  }
+
+  /**
+   * Express middleware for REST endpoints
+   */
+  middleware() {
+    return (req, res, next) => {
+      const auth = this.authenticate(req);
+      if (auth.error) {
+        res.status(auth.status).json({ error: auth.error });
+        return;
+      }
+
+      if (!this.allowRequest(auth.key)) {
+        res.status(429).json({ error: 'request rate limit exceeded' });
+        return;
+      }
+
+      req.apiKey = auth.key;
+      next();
+    };
+  }
+}
+
+function dropStaleBuckets(buckets, limitFor) {
+  for (const [key, bucket] of buckets) {
+    if (limitFor(key) !== bucket.capacity) buckets.delete(key);
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = ApiKeys;
@@ -0,0 +1,115 @@
+/**
+ * Wire Codecs
+ * Frame encodings negotiated through the WebSocket subprotocol on /ws/live
+ *
+ *   bgp.json.v0      - plain JSON text frames (default, also used when no protocol is offered)
+ *   bgp.msgpack.v0   - every frame as a binary MessagePack message
+ *   bgp.columnar.v0  - JSON text frames; "bgp" frames carry column arrays instead of
+ *                      item objects, repeated strings are dictionary-encoded
+ *
+ * permessage-deflate is negotiated separately by the WebSocket extension handshake
+ * and works with every codec.
+ */
+
+const { encode: encodeMsgpack } = require('@msgpack/msgpack');
+
+const DEFAULT_PROTOCOL = 'bgp.json.v0';
+
+// Dictionary-encode a string column when it has at most this many distinct values
+const MAX_DICT_SIZE = 256;
+
+const CODECS = {
+  'bgp.json.v0': {
+    encode: frame => JSON.stringify(frame)
+  },
+  'bgp.msgpack.v0': {
+    encode: frame => Buffer.from(encodeMsgpack(frame))
+  },
+  'bgp.columnar.v0': {
+    encode: frame => JSON.stringify(frame.type === 'bgp' ? toColumnar(frame) : frame)
+  }
+};
+
+/**
+ * Pick the first supported protocol from the client's offer (ws handleProtocols hook)
+ * @param {Set} protocols - protocols offered by the client, in preference order
+ * @returns {string|false}
+ */
+function selectProtocol(protocols) {
+  for (const protocol of protocols) {
+    if (CODECS[protocol]) return protocol;
+  }
+  return false;
+}
+
+/**
+ * Get the codec for a negotiated protocol ('' means none was offered)
+ */
+function codecFor(protocol) {
+  return CODECS[protocol] || CODECS[DEFAULT_PROTOCOL];
+}
+
+/**
+ * Turn { type: 'bgp', items: [...] } into { type: 'bgp', n, cols: {...} }
+ * Nested objects (src, dst) are flattened to "src.lat" style columns.
+ */
+function toColumnar(frame) {
+  const { items, ...rest } = frame;
+  const rows = items.map(flatten);
+
+  const keys = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) keys.add(key);
+  }
+
+  const cols = {};
+  for (const key of keys) {
+    const values = rows.map(row => (row[key] === undefined ? null : row[key]));
+    cols[key] = dictionaryEncode(values) || values;
+  }
+
+  return { ...rest, n: rows.length, cols };
+}
+
+function flatten(item) {
+  const row = {};
+  for (const [key, value] of Object.entries(item)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [subKey, subValue] of Object.entries(value)) {
+        row[`${key}.${subKey}`] = subValue;
+      }
+    } else {
+      row[key] = value;
+    }
+  }
+  return row;
+}
+
+/**
+ * Encode a string column as { dict, idx } when that is smaller, else return null
+ */
+function dictionaryEncode(values) {
+  const dict = [];
+  const positions = new Map();
+  const idx = [];
+
+  for (const value of values) {
+    if (value !== null && typeof value !== 'string') return null;
+
+    if (!positions.has(value)) {
+      if (dict.length >= MAX_DICT_SIZE) return null;
+      positions.set(value, dict.length);
+      dict.push(value);
+    }
+    idx.push(positions.get(value));
+  }
+
+  return dict.length * 2 <= values.length ? { dict, idx } : null;
+}
+
+module.exports = {
+  DEFAULT_PROTOCOL,
+  selectProtocol,
+  codecFor,
+  toColumnar
+};
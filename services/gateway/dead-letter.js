@@ -0,0 +1,178 @@
+/**
+ * Dead-Letter Queue
+ * Keeps stream entries that failed validation in their own stream, with the
+ * reason attached, so they can be inspected and re-driven
+ *
+ * GET    /api/dlq?limit=100&cursor=<id>   list dead letters, oldest first
+ * POST   /api/dlq/redrive                 { "ids": [...] } or { "all": true }
+ *                                         re-validates and moves valid entries back
+ * DELETE /api/dlq/:id                     discard one entry
+ * Only keys with "admin": true get here (see api-keys.js).
+ */
+
+const express = require('express');
+const { STREAM_ID_PATTERN } = require('./stream-history');
+const { validateEvent } = require('../shared/event-schema');
+
+const PAGE_SIZE = 500; // entries read per XRANGE when redriving the whole queue
+
+class DeadLetterQueue {
+  /**
+   * @param {object} redis - connected Redis client
+   * @param {string} stream - dead-letter stream key
+   * @param {number} maxLen - approximate cap on stored entries
+   */
+  constructor(redis, stream, maxLen = 10000) {
+    this.redis = redis;
+    this.stream = stream;
+    this.maxLen = maxLen;
+  }
+
+  /**
+   * Store a rejected payload
+   * @param {string} raw - the original `data` field
+   * @param {Array} errors - validation problems
+   * @param {object} meta - { source, origin_stream, origin_id }
+   */
+  async add(raw, errors, meta = {}) {
+    const fields = {
+      data: raw === undefined || raw === null ? '' : String(raw),
+      reason: errors.join('; '),
+      source: meta.source || 'gateway',
+      failed_at: String(Date.now() / 1000)
+    };
+    if (meta.origin_stream) fields.origin_stream = meta.origin_stream;
+    if (meta.origin_id) fields.origin_id = meta.origin_id;
+
+    return this.redis.xAdd(this.stream, '*', fields, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxLen }
+    });
+  }
+
+  /**
+   * List entries after a cursor, oldest first
+   */
+  async list({ cursor = null, limit = 100 } = {}) {
+    const start = cursor ? `(${cursor}` : '-';
+    const entries = await this.redis.xRange(this.stream, start, '+', { COUNT: limit });
+
+    return {
+      items: entries.map(entry => ({ id: entry.id, ...entry.message })),
+      next_cursor: entries.length === limit ? entries[entries.length - 1].id : null
+    };
+  }
+
+  /**
+   * Re-validate entries and append the ones that now pass to the target stream
+   * @param {Array|null} ids - entry IDs, null for the whole queue (read PAGE_SIZE at a time)
+   * @returns {object} - { redriven: [...ids], failed: [{ id, reason }] }
+   */
+  async redrive(ids, targetStream, targetMaxLen) {
+    const result = { redriven: [], failed: [] };
+
+    if (ids) {
+      const entries = (await Promise.all(ids.map(id => this.redis.xRange(this.stream, id, id)))).flat();
+      await this.redriveEntries(entries, targetStream, targetMaxLen, result);
+      return result;
+    }
+
+    let start = '-';
+    for (;;) {
+      const entries = await this.redis.xRange(this.stream, start, '+', { COUNT: PAGE_SIZE });
+      await this.redriveEntries(entries, targetStream, targetMaxLen, result);
+      if (entries.length < PAGE_SIZE) break;
+      start = `(${entries[entries.length - 1].id}`;
+    }
+    return result;
+  }
+
+  async redriveEntries(entries, targetStream, targetMaxLen, { redriven, failed }) {
+    for (const entry of entries) {
+      let event = null;
+      let errors;
+      try {
+        event = JSON.parse(entry.message.data);
+        errors = validateEvent(event).errors;
+      } catch (error) {
+        errors = ['invalid JSON'];
+      }
+
+      if (errors.length > 0) {
+        failed.push({ id: entry.id, reason: errors.join('; ') });
+        continue;
+      }
+
+      await this.redis.xAdd(targetStream, '*', { data: entry.message.data }, {
+        TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: targetMaxLen }
+      });
+      await this.redis.xDel(this.stream, entry.id);
+      redriven.push(entry.id);
+    }
+  }
+
+  async remove(id) {
+    return this.redis.xDel(this.stream, id);
+  }
+}
+
+/**
+ * Create the /api/dlq router
+ */
+function createDeadLetterRouter(dlq, { targetStream, targetMaxLen = 50000 }) {
+  const router = express.Router();
+
+  router.get('/dlq', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    if (req.query.cursor && !STREAM_ID_PATTERN.test(req.query.cursor)) {
+      res.status(400).json({ error: `invalid cursor: ${req.query.cursor}` });
+      return;
+    }
+
+    try {
+      res.json(await dlq.list({ cursor: req.query.cursor || null, limit }));
+    } catch (error) {
+      console.error('dlq list error:', error);
+      res.status(500).json({ error: 'dlq list failed' });
+    }
+  });
+
+  router.post('/dlq/redrive', express.json(), async (req, res) => {
+    const body = req.body || {};
+    const ids = Array.isArray(body.ids) ? body.ids : null;
+
+    if (!ids && body.all !== true) {
+      res.status(400).json({ error: 'pass ids: [...] or all: true' });
+      return;
+    }
+    if (ids && !ids.every(id => STREAM_ID_PATTERN.test(id))) {
+      res.status(400).json({ error: 'ids must be stream IDs' });
+      return;
+    }
+
+    try {
+      res.json(await dlq.redrive(ids, targetStream, targetMaxLen));
+    } catch (error) {
+      console.error('dlq redrive error:', error);
+      res.status(500).json({ error: 'dlq redrive failed' });
+    }
+  });
+
+  router.delete('/dlq/:id', async (req, res) => {
+    if (!STREAM_ID_PATTERN.test(req.params.id)) {
+      res.status(400).json({ error: `invalid id: ${req.params.id}` });
+      return;
+    }
+
+    try {
+      const removed = await dlq.remove(req.params.id);
+      res.status(removed ? 200 : 404).json({ removed });
+    } catch (error) {
+      console.error('dlq delete error:', error);
+      res.status(500).json({ error: 'dlq delete failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { DeadLetterQueue, createDeadLetterRouter };
@@ -0,0 +1,218 @@
+/**
+ * Fan-out Manager
+ * Delivers stream entries to WebSocket clients, either immediately or in
+ * timed batches, and keeps slow consumers from piling up unbounded buffers
+ */
+
+const WebSocket = require('ws');
+
+class Fanout {
+  /**
+   * @param {Map} clients - ws -> client state
+   * @param {object} options - { mode, batchMs, batchMax, maxBuffered, maxBackfillBuffer, slowPolicy, ack, metrics, apiKeys }
+   */
+  constructor(clients, options = {}) {
+    this.clients = clients;
+    this.mode = options.mode === 'batch' ? 'batch' : 'realtime';
+    this.batchMs = options.batchMs || 1000;
+    this.batchMax = options.batchMax || 500;
+    this.maxBuffered = options.maxBuffered || 1024 * 1024;
+    this.maxBackfillBuffer = options.maxBackfillBuffer || 10000; // live entries held per backfilling client
+    this.slowPolicy = options.slowPolicy === 'summarize' ? 'summarize' : 'drop';
+    this.ack = options.ack || (async () => {});
+    this.metrics = options.metrics || null;
+    this.apiKeys = options.apiKeys || null;
+
+    this.pending = [];      // entries waiting for the next batch flush
+    this.pendingIds = [];   // stream IDs to ack once the batch is sent
+    this.flushTimer = null;
+  }
+
+  /**
+   * Start the periodic batch flush (no-op in realtime mode)
+   */
+  start() {
+    if (this.mode !== 'batch' || this.flushTimer) return;
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => console.error('flush error:', error));
+    }, this.batchMs);
+  }
+
+  stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Hand over entries read from the stream ({ id, data }, data may be null)
+   */
+  async push(entries) {
+    for (const entry of entries) {
+      this.pendingIds.push(entry.id);
+      if (entry.data) this.pending.push(entry);
+    }
+
+    if (this.mode === 'realtime' || this.pendingIds.length >= this.batchMax) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Send everything pending to all clients and ack it in bulk
+   */
+  async flush() {
+    if (this.pendingIds.length === 0) return;
+
+    // Take the batch synchronously so a timer flush and a size flush never overlap
+    const entries = this.pending;
+    const ids = this.pendingIds;
+    this.pending = [];
+    this.pendingIds = [];
+
+    if (entries.length > 0) {
+      this.broadcast(entries);
+    }
+
+    await this.ack(ids);
+  }
+
+  /**
+   * Deliver entries to every matching client
+   */
+  broadcast(entries) {
+    const deadClients = [];
+    // Resume point for every frame of this batch (SSE Last-Event-ID, ?after=)
+    const lastId = entries[entries.length - 1].id;
+
+    for (const [ws, client] of this.clients) {
+      if (ws.readyState !== WebSocket.OPEN) {
+        deadClients.push(ws);
+        continue;
+      }
+
+      // Hold live items until the backfill is flushed; past the cap they count as dropped
+      // and the client carries on from the live tail once the backfill ends
+      if (client.backfill) {
+        const { backfill } = client;
+        if (!backfill.overflowed && backfill.buffered.length + entries.length <= this.maxBackfillBuffer) {
+          backfill.buffered.push(...entries);
+        } else {
+          backfill.overflowed = true;
+          const skipped = entries.filter(entry => client.filter.matches(entry.data)).map(entry => entry.data);
+          if (skipped.length > 0) this.recordDropped(client, skipped);
+        }
+        continue;
+      }
+
+      const items = [];
+      for (const entry of entries) {
+        if (client.filter.matches(entry.data)) items.push(entry.data);
+      }
+
+      if (!this.sendItems(ws, client, items, { last_id: lastId })) {
+        deadClients.push(ws);
+      }
+    }
+
+    // Remove dead clients
+    for (const ws of deadClients) {
+      this.clients.delete(ws);
+    }
+
+    if (this.metrics) {
+      this.metrics.inc('gateway_dead_clients_pruned_total', deadClients.length);
+
+      // Stream IDs start with the Redis insert time in ms
+      const now = Date.now();
+      for (const entry of entries) {
+        const insertedMs = parseInt(entry.id.split('-')[0], 10);
+        this.metrics.observe('gateway_delivery_latency_seconds', Math.max(now - insertedMs, 0) / 1000);
+      }
+    }
+  }
+
+  /**
+   * Send one items frame to a client, applying the slow-consumer policy
+   * @returns {boolean} - false if the socket failed and should be dropped
+   */
+  sendItems(ws, client, items, extra = {}) {
+    if (items.length === 0) return true;
+
+    // Events over the API key's rate are dropped like for a slow socket
+    if (this.apiKeys && client.apiKey) {
+      const allowed = this.apiKeys.allowEvents(client.apiKey, items.length);
+      if (allowed < items.length) {
+        this.recordDropped(client, items.slice(allowed));
+        items = items.slice(0, allowed);
+        if (items.length === 0) return true;
+      }
+    }
+
+    try {
+      if (ws.bufferedAmount > this.maxBuffered) {
+        this.recordDropped(client, items);
+        return true;
+      }
+
+      if (client.dropped) {
+        ws.send(client.codec.encode(this.droppedNotice(client.dropped)));
+        client.dropped = null;
+      }
+
+      ws.send(client.codec.encode({ type: 'bgp', ...extra, items }));
+      if (this.metrics) this.metrics.inc('gateway_messages_fanned_out_total', items.length);
+      return true;
+    } catch (error) {
+      if (this.metrics) this.metrics.inc('gateway_send_failures_total');
+      return false;
+    }
+  }
+
+  /**
+   * Account for items skipped while a client's socket buffer is full
+   */
+  recordDropped(client, items) {
+    if (!client.dropped) {
+      client.dropped = { count: 0, since: Date.now() / 1000 };
+      if (this.slowPolicy === 'summarize') {
+        client.dropped.summary = { events: {}, origins: {} };
+      }
+    }
+
+    client.dropped.count += items.length;
+    if (this.metrics) this.metrics.inc('gateway_messages_dropped_total', items.length);
+
+    if (this.slowPolicy === 'summarize') {
+      const { events, origins } = client.dropped.summary;
+      for (const item of items) {
+        events[item.event] = (events[item.event] || 0) + 1;
+        if (item.origin_asn) {
+          origins[item.origin_asn] = (origins[item.origin_asn] || 0) + 1;
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the notice sent once a slow client has caught up again
+   */
+  droppedNotice(dropped) {
+    const notice = { type: 'dropped', count: dropped.count, since: dropped.since };
+
+    if (dropped.summary) {
+      const topOrigins = Object.entries(dropped.summary.origins)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 20)
+        .map(([asn, count]) => ({ asn: Number(asn), count }));
+
+      notice.summary = { events: dropped.summary.events, top_origins: topOrigins };
+    }
+
+    return notice;
+  }
+}
+
+module.exports = Fanout;
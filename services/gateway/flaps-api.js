@@ -0,0 +1,64 @@
+/**
+ * Flaps API
+ * The prefixes ingest currently scores as flapping the most
+ *
+ * GET /api/flaps?limit=20&flapping=true&within=1.0.0.0/8
+ *   Ingest republishes its top flapping prefixes to a Redis key every few seconds.
+ *   prefix, within, origin_asn and family filter them like /ws/live subscriptions;
+ *   flapping=true keeps only prefixes that are currently suppressed.
+ */
+
+const express = require('express');
+const SubscriptionFilter = require('./subscription-filter');
+
+/**
+ * Create the /api/flaps router
+ * @param {object} redis - connected Redis client
+ * @param {string} key - key ingest writes the snapshot to (FLAP_TOP_KEY)
+ * @param {object} options - { maxLimit, defaultLimit, apiKeys }
+ */
+function createFlapsRouter(redis, key, options = {}) {
+  const maxLimit = options.maxLimit || 100;
+  const defaultLimit = options.defaultLimit || 20;
+  const apiKeys = options.apiKeys || null;
+
+  const router = express.Router();
+
+  router.get('/flaps', async (req, res) => {
+    let filter;
+    let limit = defaultLimit;
+    try {
+      let spec = SubscriptionFilter.specFromQuery(req.query);
+      if (apiKeys) spec = apiKeys.constrainFilters(req.apiKey, spec);
+      filter = new SubscriptionFilter(spec);
+
+      if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) throw new Error(`invalid limit: ${req.query.limit}`);
+        limit = Math.min(limit, maxLimit);
+      }
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    try {
+      const raw = await redis.get(key);
+      const snapshot = raw ? JSON.parse(raw) : { updated: null, prefixes: [] };
+      const onlyFlapping = req.query.flapping === 'true';
+
+      const items = snapshot.prefixes
+        .filter(entry => (!onlyFlapping || entry.flapping) && filter.matches(entry))
+        .slice(0, limit);
+
+      res.json({ updated: snapshot.updated, items, count: items.length });
+    } catch (error) {
+      console.error('flaps query error:', error);
+      res.status(500).json({ error: 'flaps query failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createFlapsRouter };
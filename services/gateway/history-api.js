@@ -0,0 +1,148 @@
+/**
+ * History API
+ * REST queries over the Redis event stream
+ *
+ * GET /api/events?prefix=1.2.3.0/24&from=<ts>&to=<ts>&limit=500&cursor=<stream id>&format=ndjson
+ *   Filters take the same fields as /ws/live subscriptions, comma-separated.
+ *   from/to accept epoch seconds or ISO 8601 and bound the event ts. Results are
+ *   in stream (ingest) order, oldest first; pass next_cursor back as cursor to get
+ *   the following page.
+ */
+
+const express = require('express');
+const SubscriptionFilter = require('./subscription-filter');
+const { validateEvent } = require('../shared/event-schema');
+const { STREAM_ID_PATTERN, parseTimestamp, idFromTimestamp, readRange } = require('./stream-history');
+
+/**
+ * Create the /api router
+ * @param {object} redis - connected Redis client
+ * @param {string} stream - stream key to query
+ * @param {object} options - { maxLimit, defaultLimit, scanChunk, maxScan, ingestLagMs, apiKeys }
+ */
+function createHistoryRouter(redis, stream, options = {}) {
+  const maxLimit = options.maxLimit || 5000;
+  const defaultLimit = options.defaultLimit || 500;
+  const scanChunk = options.scanChunk || 1000;
+  const maxScan = options.maxScan || 50000;
+  // How long after its ts an event may still land in the stream and match `to`
+  const ingestLagMs = options.ingestLagMs !== undefined ? options.ingestLagMs : 5 * 60 * 1000;
+  const apiKeys = options.apiKeys || null;
+
+  const router = express.Router();
+
+  router.get('/events', async (req, res) => {
+    let query;
+    try {
+      query = parseQuery(req.query, { maxLimit, defaultLimit, ingestLagMs, apiKeys, apiKey: req.apiKey });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    try {
+      const page = await scanEvents(redis, stream, query, { scanChunk, maxScan });
+
+      if (wantsNdjson(req)) {
+        res.type('application/x-ndjson');
+        if (page.nextCursor) res.set('X-Next-Cursor', page.nextCursor);
+        res.send(page.items.map(item => JSON.stringify(item)).join('\n') + (page.items.length ? '\n' : ''));
+        return;
+      }
+
+      res.json({
+        items: page.items,
+        count: page.items.length,
+        next_cursor: page.nextCursor,
+        scanned: page.scanned
+      });
+    } catch (error) {
+      console.error('history query error:', error);
+      res.status(500).json({ error: 'history query failed' });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Validate query parameters into { filter, from, to, start, end, limit }
+ *
+ * Stream IDs are ingest times, never earlier than the event ts, so the scan starts
+ * at `from` but runs ingestLagMs past `to`; the event ts then decides.
+ */
+function parseQuery(params, { maxLimit, defaultLimit, ingestLagMs, apiKeys, apiKey }) {
+  let spec = SubscriptionFilter.specFromQuery(params);
+  if (apiKeys) spec = apiKeys.constrainFilters(apiKey, spec);
+  const filter = new SubscriptionFilter(spec);
+
+  const from = parseTimestamp(params.from);
+  const to = parseTimestamp(params.to);
+  if (Number.isNaN(from)) throw new Error(`invalid from: ${params.from}`);
+  if (Number.isNaN(to)) throw new Error(`invalid to: ${params.to}`);
+  if (from !== null && to !== null && from > to) throw new Error('from must not be after to');
+
+  let start = from !== null ? idFromTimestamp(from) : '-';
+  if (params.cursor) {
+    if (!STREAM_ID_PATTERN.test(params.cursor)) throw new Error(`invalid cursor: ${params.cursor}`);
+    start = `(${params.cursor}`;
+  }
+  const end = to !== null ? String(Math.floor(to * 1000) + ingestLagMs) : '+';
+
+  let limit = defaultLimit;
+  if (params.limit !== undefined) {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new Error(`invalid limit: ${params.limit}`);
+    limit = Math.min(limit, maxLimit);
+  }
+
+  return { filter, from, to, start, end, limit };
+}
+
+/**
+ * Walk the stream from start to end until a page is full or the scan budget runs out
+ */
+async function scanEvents(redis, stream, { filter, from, to, start, end, limit }, { scanChunk, maxScan }) {
+  const items = [];
+  let scanned = 0;
+  let cursor = start;
+  let lastId = null;
+  let exhausted = false;
+
+  while (items.length < limit && scanned < maxScan) {
+    const entries = await readRange(redis, stream, cursor, end, scanChunk);
+
+    for (const entry of entries) {
+      scanned++;
+      lastId = entry.id;
+
+      if (!entry.data || !validateEvent(entry.data).valid) continue;
+      if ((from !== null && entry.data.ts < from) || (to !== null && entry.data.ts > to)) continue;
+
+      if (filter.matches(entry.data)) {
+        items.push({ id: entry.id, ...entry.data });
+        if (items.length >= limit) break;
+      }
+    }
+
+    if (entries.length < scanChunk && items.length < limit) {
+      exhausted = true;
+      break;
+    }
+
+    cursor = `(${lastId}`;
+  }
+
+  return {
+    items,
+    scanned,
+    nextCursor: exhausted || lastId === null ? null : lastId
+  };
+}
+
+function wantsNdjson(req) {
+  if (req.query.format) return req.query.format === 'ndjson';
+  return (req.get('accept') || '').includes('application/x-ndjson');
+}
+
+module.exports = { createHistoryRouter };
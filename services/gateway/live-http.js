@@ -0,0 +1,252 @@
+/**
+ * Live HTTP Transports
+ * Server-Sent Events and long-poll fallbacks for proxies that block WebSocket
+ * upgrades. Both register in the same client map as /ws/live sockets, so they
+ * share the fan-out path, filters and backfill.
+ *
+ * GET /sse/live?<filters>              text/event-stream, one JSON frame per event,
+ *                                      id: is the stream ID (Last-Event-ID resumes)
+ * GET /poll/live?cursor=<id>&<filters> waits up to `timeout` ms for new items and
+ *                                      returns { items, cursor, more }; a cursor far
+ *                                      behind is caught up one page per poll (more: true),
+ *                                      events dropped meanwhile are reported as `dropped`
+ */
+
+const express = require('express');
+const WebSocket = require('ws');
+const SubscriptionFilter = require('./subscription-filter');
+const { STREAM_ID_PATTERN, historyRequest } = require('./stream-history');
+
+const SSE_CODEC = {
+  encode: frame => {
+    const id = frame.last_id ? `id: ${frame.last_id}\n` : '';
+    return `${id}data: ${JSON.stringify(frame)}\n\n`;
+  }
+};
+
+// Long-poll connections collect frame objects, nothing is serialized until the response
+const POLL_CODEC = {
+  encode: frame => frame
+};
+
+/**
+ * Response-backed connection that looks like a WebSocket to the fan-out
+ */
+class SseConnection {
+  constructor(res) {
+    this.res = res;
+    this.readyState = WebSocket.OPEN;
+    res.on('close', () => {
+      this.readyState = WebSocket.CLOSED;
+    });
+  }
+
+  get bufferedAmount() {
+    return this.res.writableLength;
+  }
+
+  send(data) {
+    this.res.write(data);
+  }
+}
+
+/**
+ * Connection that answers one long-poll request with the first items it gets
+ */
+class LongPollConnection {
+  /**
+   * @param {Function} pendingDropped - takes the client's not yet reported drops as a notice, or null
+   */
+  constructor(res, cursor, onDone, pendingDropped) {
+    this.res = res;
+    this.cursor = cursor;
+    this.onDone = onDone;
+    this.pendingDropped = pendingDropped;
+    this.items = [];
+    this.dropped = null; // dropped notices received, merged into one
+    this.more = false; // entries past this response are already waiting
+    this.readyState = WebSocket.OPEN;
+    this.bufferedAmount = 0;
+
+    res.on('close', () => this.finish());
+  }
+
+  send(frame) {
+    if (this.readyState !== WebSocket.OPEN) return;
+
+    if (frame.type === 'bgp') {
+      this.items.push(...frame.items);
+      if (frame.last_id) this.cursor = frame.last_id;
+      // Backfill frames are collected until backfill_end so one response covers them all
+      if (!frame.backfill) this.respond();
+    } else if (frame.type === 'backfill_end') {
+      if (frame.last_id) this.cursor = frame.last_id;
+      this.more = Boolean(frame.more);
+      // With more to catch up on, answer even without matches so the cursor moves on
+      if (this.items.length > 0 || this.more) this.respond();
+    } else if (frame.type === 'dropped') {
+      this.dropped = mergeDropped(this.dropped, frame);
+    } else if (frame.type === 'error') {
+      this.respond(frame.error);
+    }
+  }
+
+  respond(error = null) {
+    if (this.readyState !== WebSocket.OPEN) return;
+
+    if (error) {
+      this.res.status(500).json({ error, cursor: this.cursor });
+    } else {
+      // Drops since the last items frame have not been sent as a notice yet
+      const dropped = mergeDropped(this.dropped, this.pendingDropped());
+      const body = { items: this.items, cursor: this.cursor, more: this.more };
+      if (dropped) body.dropped = dropped;
+      this.res.json(body);
+    }
+    this.finish();
+  }
+
+  finish() {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSED;
+    this.onDone();
+  }
+}
+
+/**
+ * Combine two dropped notices (either may be null)
+ */
+function mergeDropped(a, b) {
+  if (!a || !b) return a || b;
+
+  const merged = { type: 'dropped', count: a.count + b.count, since: Math.min(a.since, b.since) };
+  if (a.summary || b.summary) {
+    const events = {};
+    const origins = {};
+    for (const summary of [a.summary, b.summary]) {
+      if (!summary) continue;
+      for (const [event, count] of Object.entries(summary.events)) events[event] = (events[event] || 0) + count;
+      for (const { asn, count } of summary.top_origins) origins[asn] = (origins[asn] || 0) + count;
+    }
+    const topOrigins = Object.entries(origins)
+      .sort((x, y) => y[1] - x[1])
+      .slice(0, 20)
+      .map(([asn, count]) => ({ asn: Number(asn), count }));
+    merged.summary = { events, top_origins: topOrigins };
+  }
+  return merged;
+}
+
+/**
+ * Create the router for /sse/live and /poll/live
+ * @param {object} deps - { redis, stream, clients, backfillClient, sendFrame, droppedNotice, apiKeys, pollTimeoutMs }
+ */
+function createLiveRouter({ redis, stream, clients, backfillClient, sendFrame, droppedNotice, apiKeys, pollTimeoutMs = 25000 }) {
+  const router = express.Router();
+
+  // Filters from the query, narrowed to what the caller's API key allows
+  const filterFor = (req) => {
+    const spec = SubscriptionFilter.specFromQuery(req.query);
+    return new SubscriptionFilter(apiKeys.constrainFilters(req.apiKey, spec));
+  };
+
+  router.get('/sse/live', (req, res) => {
+    let filter;
+    try {
+      filter = filterFor(req);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    if (!apiKeys.acquireConnection(req.apiKey)) {
+      res.status(429).json({ error: 'connection limit reached' });
+      return;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // keep nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const conn = new SseConnection(res);
+    const client = { codec: SSE_CODEC, filter, apiKey: req.apiKey, backfill: null, dropped: null };
+    clients.set(conn, client);
+
+    // Browsers resend the last id on reconnect; ?since/?after/?last work as on /ws/live
+    const lastEventId = req.get('last-event-id');
+    const replay = lastEventId && STREAM_ID_PATTERN.test(lastEventId)
+      ? { since: null, after: lastEventId, last: null }
+      : historyRequest(req.query);
+    if (replay) {
+      backfillClient(conn, client, replay);
+    }
+
+    const pingInterval = setInterval(() => sendFrame(conn, client, { type: 'ping' }), 30000);
+
+    res.on('close', () => {
+      clients.delete(conn);
+      clearInterval(pingInterval);
+      apiKeys.releaseConnection(req.apiKey);
+    });
+  });
+
+  router.get('/poll/live', async (req, res) => {
+    let filter;
+    try {
+      filter = filterFor(req);
+      if (req.query.cursor && !STREAM_ID_PATTERN.test(req.query.cursor)) {
+        throw new Error(`invalid cursor: ${req.query.cursor}`);
+      }
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    // First poll: hand out the current tail as the starting cursor
+    if (!req.query.cursor) {
+      try {
+        const latest = await redis.xRevRange(stream, '+', '-', { COUNT: 1 });
+        res.json({ items: [], cursor: latest.length > 0 ? latest[0].id : '0-0' });
+      } catch (error) {
+        console.error('poll error:', error);
+        res.status(500).json({ error: 'poll failed' });
+      }
+      return;
+    }
+
+    if (!apiKeys.acquireConnection(req.apiKey)) {
+      res.status(429).json({ error: 'connection limit reached' });
+      return;
+    }
+
+    const timeoutMs = Math.min(parseInt(req.query.timeout) || pollTimeoutMs, 60000);
+    let timer = null;
+
+    const conn = new LongPollConnection(res, req.query.cursor, () => {
+      clearTimeout(timer);
+      clients.delete(conn);
+      apiKeys.releaseConnection(req.apiKey);
+    }, () => {
+      if (!client.dropped) return null;
+      const notice = droppedNotice(client.dropped);
+      client.dropped = null;
+      return notice;
+    });
+    const client = { codec: POLL_CODEC, filter, apiKey: req.apiKey, backfill: null, dropped: null };
+    clients.set(conn, client);
+
+    timer = setTimeout(() => conn.respond(), timeoutMs);
+
+    // Catch up from the cursor first; live items are buffered meanwhile
+    backfillClient(conn, client, { since: null, after: req.query.cursor, last: null, onePage: true });
+  });
+
+  return router;
+}
+
+module.exports = { createLiveRouter };
@@ -1,22 +1,53 @@
 require('dotenv').config();
 
+const os = require('os');
 const express = require('express');
 const WebSocket = require('ws');
 const { createClient } = require('redis');
 const cors = require('cors');
+const SubscriptionFilter = require('./subscription-filter');
+const { compareStreamIds, readRecent, readAfter, historyRequest } = require('./stream-history');
+const StreamConsumer = require('./stream-consumer');
+const Fanout = require('./fanout');
+const { createHistoryRouter } = require('./history-api');
+const { createFlapsRouter } = require('./flaps-api');
+const Metrics = require('../shared/metrics');
+const { selectProtocol, codecFor } = require('./codecs');
+const { createLiveRouter } = require('./live-http');
+const { validateEvent } = require('../shared/event-schema');
+const { DeadLetterQueue, createDeadLetterRouter } = require('./dead-letter');
+const ApiKeys = require('./api-keys');
 
 const app = express();
 
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379/0';
 const STREAM = process.env.STREAM || 'bgp.raw';
 const GROUP = process.env.GROUP || 'bgp:ws';
-const CONSUMER_ID = process.env.CONSUMER_ID || 'gateway-1';
+const CONSUMER_ID = process.env.CONSUMER_ID || `gateway-${os.hostname()}`;
+const READ_MODE = process.env.READ_MODE || 'broadcast'; // 'broadcast' | 'group' (replicas sharing GROUP split the feed)
+const CLAIM_IDLE_MS = parseInt(process.env.CLAIM_IDLE_MS || '60000');
+const CLAIM_INTERVAL_MS = parseInt(process.env.CLAIM_INTERVAL_MS || '30000');
+const CONSUMER_TTL_MS = parseInt(process.env.CONSUMER_TTL_MS || '3600000');
+const WS_MODE = process.env.WS_MODE || 'realtime'; // 'realtime' | 'batch'
 const WS_BATCH_MS = parseInt(process.env.WS_BATCH_MS || '1000');
+const WS_BATCH_MAX = parseInt(process.env.WS_BATCH_MAX || '500');
+const WS_MAX_BUFFERED = parseInt(process.env.WS_MAX_BUFFERED || '1048576');
+const WS_SLOW_POLICY = process.env.WS_SLOW_POLICY || 'drop'; // 'drop' | 'summarize'
 const READ_COUNT = parseInt(process.env.READ_COUNT || '200');
 const BLOCK_MS = parseInt(process.env.BLOCK_MS || '500');
 const PORT = parseInt(process.env.PORT || '8000');
+const STREAM_MAXLEN = parseInt(process.env.STREAM_MAXLEN || '50000');
+const DLQ_STREAM = process.env.DLQ_STREAM || `${STREAM}.dlq`;
+const DLQ_MAXLEN = parseInt(process.env.DLQ_MAXLEN || '10000');
+const BACKFILL_MAX = parseInt(process.env.BACKFILL_MAX || '5000');
+const BACKFILL_BUFFER_MAX = parseInt(process.env.BACKFILL_BUFFER_MAX || '10000');
+const HISTORY_INGEST_LAG_MS = parseInt(process.env.HISTORY_INGEST_LAG_MS || '300000');
+const WS_DEFLATE = process.env.WS_DEFLATE !== 'false';
+const FLAP_TOP_KEY = process.env.FLAP_TOP_KEY || 'bgp.flaps.top';
 
 const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+const API_KEYS_FILE = process.env.API_KEYS_FILE || null;
+const API_KEYS_HASH = process.env.API_KEYS_HASH || null;
 
 // CORS middleware
 app.use(cors({
@@ -26,7 +57,54 @@ app.use(cors({
 
 // Redis client
 const redis = createClient({ url: REDIS_URL });
-const clients = new Set();
+const clients = new Map(); // ws -> { codec, filter, apiKey, backfill, dropped }
+const dlq = new DeadLetterQueue(redis, DLQ_STREAM, DLQ_MAXLEN);
+
+// Access control is off unless API_KEYS_FILE or API_KEYS_HASH is set
+const apiKeys = new ApiKeys({ file: API_KEYS_FILE, redis, hash: API_KEYS_HASH });
+
+// Gateway metrics
+const metrics = new Metrics();
+metrics.gauge('gateway_connected_clients', 'WebSocket clients currently connected');
+metrics.counter('gateway_messages_read_total', 'Stream entries read from Redis');
+metrics.counter('gateway_messages_fanned_out_total', 'Events written to client sockets');
+metrics.counter('gateway_messages_dropped_total', 'Events skipped for slow clients');
+metrics.counter('gateway_send_failures_total', 'Socket sends that threw');
+metrics.counter('gateway_dead_clients_pruned_total', 'Closed clients removed during fan-out');
+metrics.counter('gateway_parse_errors_total', 'Stream entries whose payload was not valid JSON');
+metrics.counter('gateway_invalid_events_total', 'Stream entries that failed schema validation');
+metrics.gauge('gateway_consumer_group_lag', 'Entries in the stream not yet delivered to the group');
+metrics.gauge('gateway_consumer_group_pending', 'Entries delivered to the group but not acked');
+metrics.histogram('gateway_delivery_latency_seconds', 'Time from Redis insert to socket send');
+
+const consumer = new StreamConsumer(redis, {
+  stream: STREAM,
+  group: GROUP,
+  consumer: CONSUMER_ID,
+  mode: READ_MODE,
+  readCount: READ_COUNT,
+  blockMs: BLOCK_MS,
+  claimIdleMs: CLAIM_IDLE_MS,
+  consumerTtlMs: CONSUMER_TTL_MS
+});
+
+const fanout = new Fanout(clients, {
+  mode: WS_MODE,
+  batchMs: WS_BATCH_MS,
+  batchMax: WS_BATCH_MAX,
+  maxBuffered: WS_MAX_BUFFERED,
+  maxBackfillBuffer: BACKFILL_BUFFER_MAX,
+  slowPolicy: WS_SLOW_POLICY,
+  metrics,
+  apiKeys,
+  ack: async (ids) => {
+    try {
+      await consumer.ack(ids);
+    } catch (error) {
+      console.error('xack error:', error);
+    }
+  }
+});
 
 // Health check endpoint
 app.get('/healthz', async (req, res) => {
@@ -38,87 +116,205 @@ app.get('/healthz', async (req, res) => {
   }
 });
 
-// Ensure Redis stream group exists
-async function ensureGroup() {
-  try {
-    await redis.xGroupCreate(STREAM, GROUP, '$', { MKSTREAM: true });
-  } catch (error) {
-    // BUSYGROUP means it already exists
-    if (!error.message.includes('BUSYGROUP')) {
-      throw error;
+// Prometheus metrics endpoint
+metrics.addCollector(async (m) => {
+  m.set('gateway_connected_clients', clients.size);
+
+  const stats = await consumer.groupStats();
+  if (stats) {
+    m.set('gateway_consumer_group_pending', stats.pending);
+    if (stats.lag !== null) m.set('gateway_consumer_group_lag', stats.lag);
+  }
+});
+
+app.get('/metrics', async (req, res) => {
+  res.type('text/plain; version=0.0.4');
+  res.send(await metrics.render());
+});
+
+// API keys guard everything below; /healthz and /metrics stay open
+app.use(['/api', '/sse', '/poll'], apiKeys.middleware());
+
+// History query API
+app.use('/api', createHistoryRouter(redis, STREAM, { ingestLagMs: HISTORY_INGEST_LAG_MS, apiKeys }));
+
+// Top flapping prefixes published by ingest
+app.use('/api', createFlapsRouter(redis, FLAP_TOP_KEY, { apiKeys }));
+
+// Dead-letter inspection and re-drive: raw events of every prefix, admin keys only
+app.use('/api/dlq', apiKeys.requireAdmin());
+app.use('/api', createDeadLetterRouter(dlq, { targetStream: STREAM, targetMaxLen: STREAM_MAXLEN }));
+
+// Validate entries before fan-out; failures go to the dead-letter stream and are
+// still acked, so they never reach clients
+async function screenEntries(entries) {
+  for (const entry of entries) {
+    const errors = entry.data ? validateEvent(entry.data).errors : ['invalid JSON'];
+    if (errors.length === 0) continue;
+
+    if (entry.data) {
+      metrics.inc('gateway_invalid_events_total');
+    } else {
+      metrics.inc('gateway_parse_errors_total');
+    }
+
+    try {
+      await dlq.add(entry.raw, errors, { source: 'gateway', origin_stream: STREAM, origin_id: entry.id });
+    } catch (error) {
+      console.error('dlq add error:', error);
     }
+    entry.data = null;
   }
+
+  return entries;
 }
 
-// Real-time processor - sends messages immediately, no batching
-async function realtimeProcessor() {
+// Stream reader - reads up to READ_COUNT entries at a time and hands them to
+// the fan-out, which sends them right away (realtime) or per batch (batch)
+async function streamReader() {
   while (true) {
     try {
-      const response = await redis.xReadGroup(
-        GROUP,
-        CONSUMER_ID,
-        { key: STREAM, id: '>' },
-        { COUNT: 1, BLOCK: BLOCK_MS } // Read one message at a time
-      );
-
-      if (!response || response.length === 0) {
-        continue;
+      const entries = await consumer.read();
+      if (entries.length > 0) {
+        metrics.inc('gateway_messages_read_total', entries.length);
+        await fanout.push(await screenEntries(entries));
       }
+    } catch (error) {
+      console.error('stream reader error:', error);
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+}
 
-      for (const stream of response) {
-        for (const message of stream.messages) {
-          let data = null;
-          try {
-            data = JSON.parse(message.message.data || '{}');
-          } catch (error) {
-            console.error('parse error:', error);
-          }
-
-          // Send immediately if we have data and clients
-          if (data && clients.size > 0) {
-            const payload = JSON.stringify({ type: 'bgp', items: [data] });
-            const deadClients = [];
-
-            for (const ws of clients) {
-              try {
-                if (ws.readyState === WebSocket.OPEN) {
-                  ws.send(payload);
-                } else {
-                  deadClients.push(ws);
-                }
-              } catch (error) {
-                deadClients.push(ws);
-              }
-            }
-
-            // Remove dead clients
-            for (const ws of deadClients) {
-              clients.delete(ws);
-            }
-          }
-
-          // Ack the message
-          try {
-            await redis.xAck(STREAM, GROUP, [message.id]);
-          } catch (error) {
-            console.error('xack error:', error);
-          }
+// Pending-entry recovery - picks up what crashed consumers in the group never acked
+async function reclaimPending() {
+  try {
+    const entries = await consumer.reclaim();
+    if (entries.length > 0) {
+      console.log(`reclaimed ${entries.length} pending entries`);
+      await fanout.push(await screenEntries(entries));
+    }
+
+    const removed = await consumer.pruneConsumers();
+    if (removed.length > 0) {
+      console.log(`removed idle consumers: ${removed.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('reclaim error:', error);
+  }
+}
+
+// Replay recent history to one client, then hand it over to the live feed.
+// Live items that arrive meanwhile are buffered and de-duplicated by stream ID.
+// Works for any connection in `clients` (WebSocket, SSE or long-poll).
+// Resuming `after` a stream ID pages forward through everything since, BACKFILL_MAX
+// entries at a time; `onePage` stops after the first page (long-poll answers with it,
+// and the client polls again from the returned cursor).
+async function backfillClient(ws, client, { since = null, after = null, last = null, onePage = false }) {
+  const backfill = { buffered: [] };
+  client.backfill = backfill;
+
+  let lastId = after;
+  let sent = 0;
+  let truncated = false;
+  let more = false;
+
+  try {
+    let page = after !== null
+      ? await readAfter(redis, STREAM, after, BACKFILL_MAX)
+      : await readRecent(redis, STREAM, { since, last, max: BACKFILL_MAX });
+    truncated = Boolean(page.truncated);
+
+    for (;;) {
+      const matched = [];
+      for (const entry of page.entries) {
+        lastId = entry.id;
+        // Dead-lettered entries stay in the stream, skip them here too
+        if (entry.data && validateEvent(entry.data).valid && client.filter.matches(entry.data)) {
+          matched.push(entry);
         }
       }
-    } catch (error) {
-      console.error('realtime processor error:', error);
-      await new Promise(resolve => setTimeout(resolve, 500));
+
+      for (let i = 0; i < matched.length; i += READ_COUNT) {
+        if (client.backfill !== backfill || ws.readyState !== WebSocket.OPEN) return;
+        const chunk = matched.slice(i, i + READ_COUNT);
+        fanout.sendItems(ws, client, chunk.map(entry => entry.data), {
+          backfill: true,
+          last_id: chunk[chunk.length - 1].id
+        });
+        sent += chunk.length;
+      }
+
+      more = Boolean(page.more);
+      if (!more || onePage) break;
+      if (client.backfill !== backfill || ws.readyState !== WebSocket.OPEN) return;
+      page = await readAfter(redis, STREAM, lastId, BACKFILL_MAX);
     }
+  } catch (error) {
+    console.error('backfill error:', error);
+    if (ws.readyState === WebSocket.OPEN) {
+      sendFrame(ws, client, { type: 'error', error: `backfill failed: ${error.message}` });
+    }
+  }
+
+  // A newer backfill request superseded this one
+  if (client.backfill !== backfill) return;
+  client.backfill = null;
+
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  sendFrame(ws, client, { type: 'backfill_end', count: sent, last_id: lastId, truncated, more });
+
+  // Stopped short of the tail: live items would skip the rest, the next request resumes instead
+  if (more) return;
+
+  // Live items that overflowed the buffer came after the buffered ones, report them after those
+  const overflow = backfill.overflowed ? client.dropped : null;
+  if (overflow) client.dropped = null;
+
+  const live = backfill.buffered
+    .filter(entry => lastId === null || compareStreamIds(entry.id, lastId) > 0);
+
+  if (live.length > 0) {
+    const items = live.filter(entry => client.filter.matches(entry.data)).map(entry => entry.data);
+    fanout.sendItems(ws, client, items, { last_id: live[live.length - 1].id });
+  }
+
+  if (overflow && ws.readyState === WebSocket.OPEN) {
+    sendFrame(ws, client, fanout.droppedNotice(overflow));
   }
 }
 
+// Send a control frame in the client's negotiated encoding
+function sendFrame(ws, client, frame) {
+  ws.send(client.codec.encode(frame));
+}
+
+// SSE and long-poll fallbacks share clients, filters and backfill with /ws/live
+app.use(createLiveRouter({
+  redis,
+  stream: STREAM,
+  clients,
+  backfillClient,
+  sendFrame,
+  droppedNotice: dropped => fanout.droppedNotice(dropped),
+  apiKeys
+}));
+
 // Initialize and start services
 async function startup() {
   await redis.connect();
-  await ensureGroup();
+  await apiKeys.start();
+  await consumer.init();
+  console.log(`Reading ${STREAM} in ${READ_MODE} mode as ${CONSUMER_ID}`);
   
-  // Start real-time processor
-  realtimeProcessor();
+  // Start stream reader and batch flushing
+  fanout.start();
+  streamReader();
+
+  if (READ_MODE === 'group') {
+    setInterval(reclaimPending, CLAIM_INTERVAL_MS);
+  }
 }
 
 // Create HTTP server
@@ -127,15 +323,87 @@ const server = app.listen(PORT, () => {
 });
 
 // Create WebSocket server
-const wss = new WebSocket.Server({ server, path: '/ws/live' });
+// Clients pick a frame encoding through the subprotocol (see codecs.js);
+// permessage-deflate is offered to every client unless WS_DEFLATE=false
+const wss = new WebSocket.Server({
+  server,
+  path: '/ws/live',
+  handleProtocols: (protocols) => selectProtocol(protocols),
+  perMessageDeflate: WS_DEFLATE ? { threshold: 1024 } : false,
+  verifyClient: (info, done) => {
+    const auth = apiKeys.authenticate(info.req);
+    if (auth.error) {
+      done(false, auth.status, auth.error);
+      return;
+    }
+    if (!apiKeys.acquireConnection(auth.key)) {
+      done(false, 429, 'connection limit reached');
+      return;
+    }
+    info.req.apiKey = auth.key;
+
+    // The slot belongs to the connection once it opens; a handshake that dies
+    // before that (client gone before the upgrade completes) hands it back here
+    const { req } = info;
+    req.socket.once('close', () => {
+      if (!req.liveConnection) apiKeys.releaseConnection(auth.key);
+    });
+    done(true);
+  }
+});
+
+wss.on('connection', (ws, req) => {
+  req.liveConnection = true;
+  const apiKey = req.apiKey;
+  const client = {
+    codec: codecFor(ws.protocol),
+    filter: new SubscriptionFilter(apiKeys.constrainFilters(apiKey, {})),
+    apiKey,
+    backfill: null,
+    dropped: null
+  };
+  clients.set(ws, client);
+
+  // Optional history on connect: /ws/live?since=<epoch seconds>, ?after=<stream id> or ?last=<N>
+  const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  const initialBackfill = historyRequest(query);
+  if (initialBackfill) {
+    backfillClient(ws, client, initialBackfill);
+  }
+
+  // Clients can (re)subscribe at any time: {"type":"subscribe","filters":{...}}
+  // A subscribe message may also carry since/last to replay history with the new filters
+  ws.on('message', (raw) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch (error) {
+      sendFrame(ws, client, { type: 'error', error: 'invalid JSON' });
+      return;
+    }
+
+    if (msg.type === 'subscribe') {
+      try {
+        client.filter = new SubscriptionFilter(apiKeys.constrainFilters(apiKey, msg.filters || {}));
+        sendFrame(ws, client, { type: 'subscribed', filters: client.filter.spec });
+
+        const replay = historyRequest(msg);
+        if (replay) {
+          backfillClient(ws, client, replay);
+        }
+      } catch (error) {
+        sendFrame(ws, client, { type: 'error', error: error.message });
+      }
+    } else if (msg.type === 'unsubscribe') {
+      client.filter = new SubscriptionFilter(apiKeys.constrainFilters(apiKey, {}));
+      sendFrame(ws, client, { type: 'subscribed', filters: client.filter.spec });
+    }
+  });
 
-wss.on('connection', (ws) => {
-  clients.add(ws);
-  
   // Send keepalive pings
   const pingInterval = setInterval(() => {
     if (ws.readyState === WebSocket.OPEN) {
-      ws.send('{"type":"ping"}');
+      sendFrame(ws, client, { type: 'ping' });
     } else {
       clearInterval(pingInterval);
     }
@@ -144,6 +412,7 @@ wss.on('connection', (ws) => {
   ws.on('close', () => {
     clients.delete(ws);
     clearInterval(pingInterval);
+    apiKeys.releaseConnection(apiKey);
   });
 
   ws.on('error', () => {
@@ -158,6 +427,8 @@ startup().catch(console.error);
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down...');
+  await fanout.flush();
+  fanout.stop();
   await redis.disconnect();
   process.exit(0);
 });
\ No newline at end of file
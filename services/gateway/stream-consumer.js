@@ -0,0 +1,166 @@
+/**
+ * Stream Consumer
+ * Reads the event stream either through a consumer group or as a plain
+ * broadcast reader
+ *
+ * Modes:
+ *   broadcast - plain XREAD from the tail (the default). Every replica gets the full
+ *               feed and nothing is left pending.
+ *   group     - XREADGROUP with acks, chosen on purpose. Replicas sharing GROUP split
+ *               the feed, so give each replica its own GROUP when they should all see
+ *               everything. Entries left pending by dead consumers are reclaimed with XAUTOCLAIM.
+ */
+
+const { parseEntry } = require('./stream-history');
+
+class StreamConsumer {
+  /**
+   * @param {object} redis - connected Redis client
+   * @param {object} options - { stream, group, consumer, mode, readCount, blockMs, claimIdleMs, consumerTtlMs }
+   */
+  constructor(redis, options) {
+    this.redis = redis;
+    this.stream = options.stream;
+    this.group = options.group;
+    this.consumer = options.consumer;
+    this.mode = options.mode === 'group' ? 'group' : 'broadcast';
+    this.readCount = options.readCount || 200;
+    this.blockMs = options.blockMs || 500;
+    this.claimIdleMs = options.claimIdleMs || 60000;
+    this.consumerTtlMs = options.consumerTtlMs || 3600000;
+
+    this.lastId = '$';         // broadcast mode read position
+    this.claimCursor = '0-0';  // XAUTOCLAIM scan position
+  }
+
+  /**
+   * Prepare the stream (and group) for reading
+   */
+  async init() {
+    if (this.mode === 'broadcast') {
+      // Pin the start position so nothing between reads is skipped
+      const latest = await this.redis.xRevRange(this.stream, '+', '-', { COUNT: 1 });
+      this.lastId = latest.length > 0 ? latest[0].id : '0-0';
+      return;
+    }
+
+    try {
+      await this.redis.xGroupCreate(this.stream, this.group, '$', { MKSTREAM: true });
+    } catch (error) {
+      // BUSYGROUP means it already exists
+      if (!error.message.includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Block for up to blockMs and return new entries ({ id, data })
+   */
+  async read() {
+    const response = this.mode === 'broadcast'
+      ? await this.redis.xRead(
+        { key: this.stream, id: this.lastId },
+        { COUNT: this.readCount, BLOCK: this.blockMs }
+      )
+      : await this.redis.xReadGroup(
+        this.group,
+        this.consumer,
+        { key: this.stream, id: '>' },
+        { COUNT: this.readCount, BLOCK: this.blockMs }
+      );
+
+    if (!response || response.length === 0) {
+      return [];
+    }
+
+    const entries = [];
+    for (const stream of response) {
+      for (const message of stream.messages) {
+        entries.push(parseEntry(message));
+      }
+    }
+
+    if (this.mode === 'broadcast' && entries.length > 0) {
+      this.lastId = entries[entries.length - 1].id;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Ack delivered entries (no-op in broadcast mode)
+   */
+  async ack(ids) {
+    if (this.mode === 'broadcast' || ids.length === 0) return;
+    await this.redis.xAck(this.stream, this.group, ids);
+  }
+
+  /**
+   * Take over entries that other consumers left pending for longer than claimIdleMs
+   * @returns {Array} - reclaimed entries, to be delivered and acked like fresh ones
+   */
+  async reclaim() {
+    if (this.mode === 'broadcast') return [];
+
+    const result = await this.redis.xAutoClaim(
+      this.stream,
+      this.group,
+      this.consumer,
+      this.claimIdleMs,
+      this.claimCursor,
+      { COUNT: this.readCount }
+    );
+    this.claimCursor = result.nextId;
+
+    // Entries trimmed by MAXLEN come back as null; they are dropped from the PEL anyway
+    return result.messages.filter(Boolean).map(parseEntry);
+  }
+
+  /**
+   * Pending count and lag of our group (lag needs Redis 7+), null in broadcast mode
+   */
+  async groupStats() {
+    if (this.mode === 'broadcast') return null;
+
+    // Raw XINFO GROUPS, the typed reply drops the lag field
+    const groups = await this.redis.sendCommand(['XINFO', 'GROUPS', this.stream]);
+    for (const fields of groups) {
+      const info = {};
+      for (let i = 0; i < fields.length; i += 2) {
+        info[fields[i]] = fields[i + 1];
+      }
+      if (info.name === this.group) {
+        return {
+          pending: Number(info.pending) || 0,
+          lag: info.lag === null || info.lag === undefined ? null : Number(info.lag)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove consumers that have been idle for consumerTtlMs and own no pending entries
+   * @returns {Array} - names of the removed consumers
+   */
+  async pruneConsumers() {
+    if (this.mode === 'broadcast') return [];
+
+    const consumers = await this.redis.xInfoConsumers(this.stream, this.group);
+    const removed = [];
+
+    for (const consumer of consumers) {
+      if (consumer.name === this.consumer) continue;
+      if (consumer.pending > 0 || consumer.idle < this.consumerTtlMs) continue;
+
+      await this.redis.xGroupDelConsumer(this.stream, this.group, consumer.name);
+      removed.push(consumer.name);
+    }
+
+    return removed;
+  }
+}
+
+module.exports = StreamConsumer;
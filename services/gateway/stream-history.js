@@ -0,0 +1,135 @@
+/**
+ * Stream History
+ * Helpers for reading past entries from the Redis event stream
+ */
+
+const STREAM_ID_PATTERN = /^\d+-\d+$/;
+
+/**
+ * Convert an event timestamp (epoch seconds) to the first stream ID at or after it
+ */
+function idFromTimestamp(ts) {
+  const seconds = Number(ts);
+  if (!Number.isFinite(seconds) || seconds < 0) return null;
+  return `${Math.floor(seconds * 1000)}-0`;
+}
+
+/**
+ * Parse an epoch-seconds number or ISO 8601 string into epoch seconds
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) return numeric;
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : parsed / 1000;
+}
+
+/**
+ * Compare two stream IDs ("<ms>-<seq>"), returns -1, 0 or 1
+ */
+function compareStreamIds(a, b) {
+  const [aMs, aSeq = '0'] = String(a).split('-');
+  const [bMs, bSeq = '0'] = String(b).split('-');
+
+  const msDiff = BigInt(aMs) - BigInt(bMs);
+  if (msDiff !== 0n) return msDiff < 0n ? -1 : 1;
+
+  const seqDiff = BigInt(aSeq) - BigInt(bSeq);
+  if (seqDiff !== 0n) return seqDiff < 0n ? -1 : 1;
+
+  return 0;
+}
+
+/**
+ * Parse a stream entry into { id, data, raw }, data is null when the payload is not JSON
+ */
+function parseEntry(entry) {
+  let data = null;
+  try {
+    data = JSON.parse(entry.message.data || '{}');
+  } catch (error) {
+    console.error('parse error:', error);
+  }
+  return { id: entry.id, data, raw: entry.message.data };
+}
+
+/**
+ * Read the most recent entries, oldest first
+ * @param {object} options - { since: epoch seconds, after: stream ID (exclusive), last: count, max: hard cap }
+ * @returns {object} - { entries, truncated }
+ */
+async function readRecent(redis, stream, { since = null, after = null, last = null, max = 5000 } = {}) {
+  let start = '-';
+  if (after !== null) {
+    if (!STREAM_ID_PATTERN.test(after)) throw new Error(`invalid after: ${after}`);
+    start = `(${after}`;
+  } else if (since !== null) {
+    start = idFromTimestamp(since);
+    if (!start) throw new Error(`invalid since: ${since}`);
+  }
+
+  let count = max;
+  if (last !== null) {
+    const requested = Number(last);
+    if (!Number.isInteger(requested) || requested < 0) throw new Error(`invalid last: ${last}`);
+    count = Math.min(requested, max);
+  }
+
+  if (count === 0) {
+    return { entries: [], truncated: false };
+  }
+
+  // XREVRANGE walks back from the newest entry, so a capped read keeps the
+  // newest part of the window and leaves no gap before the live feed
+  const raw = await redis.xRevRange(stream, '+', start, { COUNT: count });
+  const entries = raw.reverse().map(parseEntry);
+
+  return {
+    entries,
+    truncated: (since !== null || after !== null) && entries.length === count
+  };
+}
+
+/**
+ * Read the entries after a stream ID (exclusive), oldest first, one page at a time
+ * @returns {object} - { entries, more }, more when entries past this page remain
+ */
+async function readAfter(redis, stream, after, max = 5000) {
+  if (!STREAM_ID_PATTERN.test(after)) throw new Error(`invalid after: ${after}`);
+
+  const raw = await redis.xRange(stream, `(${after}`, '+', { COUNT: max + 1 });
+  return { entries: raw.slice(0, max).map(parseEntry), more: raw.length > max };
+}
+
+/**
+ * Pull since/after/last out of a query string or subscribe message, null if none is set
+ */
+function historyRequest(source) {
+  const pick = key => (source[key] !== undefined && source[key] !== null ? source[key] : null);
+  const request = { since: pick('since'), after: pick('after'), last: pick('last') };
+  if (request.since === null && request.after === null && request.last === null) return null;
+  return request;
+}
+
+/**
+ * Read entries in ascending order between two stream IDs (inclusive unless prefixed with "(")
+ */
+async function readRange(redis, stream, start, end, count) {
+  const raw = await redis.xRange(stream, start, end, { COUNT: count });
+  return raw.map(parseEntry);
+}
+
+module.exports = {
+  STREAM_ID_PATTERN,
+  parseTimestamp,
+  idFromTimestamp,
+  compareStreamIds,
+  parseEntry,
+  readRecent,
+  readAfter,
+  readRange,
+  historyRequest
+};
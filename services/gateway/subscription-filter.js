@@ -0,0 +1,155 @@
+/**
+ * Subscription Filter
+ * Per-client event filters for the live feed
+ *
+ * Filter spec (all fields optional, values may be scalars or arrays):
+ *   event        - "announce" | "withdraw" | "blackhole"
+ *   origin_asn   - origin AS numbers
+ *   peer_asn     - peer AS numbers
+ *   prefix       - exact prefixes
+ *   within       - covering prefixes (matches the prefix itself and any more-specific)
+ *   rrc          - collector hosts, e.g. "rrc00"
+ *   country      - ISO country codes matched against src or dst
+ *   rpki         - RPKI origin validation status: valid, invalid-asn, invalid-length, not-found
+ *   family       - address family: 4 | 6 (also "ipv4", "v6", ...)
+ *
+ * Values inside one field are OR'ed, fields are AND'ed. An empty spec matches everything.
+ */
+
+const { parsePrefix, prefixCovers } = require('../shared/prefix-utils');
+
+const KNOWN_FIELDS = new Set(['event', 'origin_asn', 'peer_asn', 'prefix', 'within', 'rrc', 'country', 'rpki', 'family']);
+const EVENT_TYPES = new Set(['announce', 'withdraw', 'blackhole']);
+const RPKI_STATUSES = new Set(['valid', 'invalid-asn', 'invalid-length', 'not-found']);
+
+class SubscriptionFilter {
+  constructor(spec = {}) {
+    if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error('filters must be an object');
+    }
+
+    for (const field of Object.keys(spec)) {
+      if (!KNOWN_FIELDS.has(field)) {
+        throw new Error(`unknown filter field: ${field}`);
+      }
+    }
+
+    this.events = this.toSet(spec.event, 'event', value => {
+      if (!EVENT_TYPES.has(value)) throw new Error(`invalid event type: ${value}`);
+      return value;
+    });
+    this.originAsns = this.toSet(spec.origin_asn, 'origin_asn', this.parseAsn);
+    this.peerAsns = this.toSet(spec.peer_asn, 'peer_asn', this.parseAsn);
+    this.prefixes = this.toSet(spec.prefix, 'prefix', value => {
+      const parsed = parsePrefix(String(value));
+      if (!parsed) throw new Error(`invalid prefix: ${value}`);
+      return String(value).trim().toLowerCase();
+    });
+    this.within = this.toList(spec.within).map(value => {
+      const parsed = parsePrefix(String(value));
+      if (!parsed) throw new Error(`invalid within prefix: ${value}`);
+      return parsed;
+    });
+    this.rrcs = this.toSet(spec.rrc, 'rrc', value => String(value).trim().toLowerCase());
+    this.countries = this.toSet(spec.country, 'country', value => String(value).trim().toUpperCase());
+    this.rpkiStatuses = this.toSet(spec.rpki, 'rpki', value => {
+      const status = String(value).trim().toLowerCase();
+      if (!RPKI_STATUSES.has(status)) throw new Error(`invalid rpki status: ${value}`);
+      return status;
+    });
+    this.families = this.toSet(spec.family, 'family', value => {
+      const family = Number(String(value).trim().toLowerCase().replace(/^(ipv|v)/, ''));
+      if (family !== 4 && family !== 6) throw new Error(`invalid address family: ${value}`);
+      return family;
+    });
+
+    this.spec = this.normalizedSpec(spec);
+  }
+
+  /**
+   * Build a filter spec from URL query parameters (comma-separated values)
+   */
+  static specFromQuery(params) {
+    const spec = {};
+    for (const field of KNOWN_FIELDS) {
+      if (params[field] !== undefined && params[field] !== '') {
+        spec[field] = String(params[field]).split(',').map(value => value.trim()).filter(Boolean);
+      }
+    }
+    return spec;
+  }
+
+  /**
+   * Check if an event passes this filter
+   */
+  matches(event) {
+    if (!event) return false;
+
+    if (this.events && !this.events.has(event.event)) return false;
+    if (this.originAsns && !this.originAsns.has(event.origin_asn)) return false;
+    if (this.peerAsns && !this.peerAsns.has(event.peer_asn)) return false;
+    if (this.rrcs && !this.rrcs.has(String(event.rrc || '').toLowerCase())) return false;
+    if (this.rpkiStatuses && !this.rpkiStatuses.has(event.rpki)) return false;
+
+    if (this.families) {
+      // Events from before the family tag only have the prefix
+      const parsed = event.family === undefined ? parsePrefix(String(event.prefix || '')) : null;
+      const family = parsed ? parsed.family : event.family;
+      if (!this.families.has(family)) return false;
+    }
+
+    if (this.countries) {
+      const srcCountry = event.src && event.src.country;
+      const dstCountry = event.dst && event.dst.country;
+      if (!this.countries.has(srcCountry) && !this.countries.has(dstCountry)) return false;
+    }
+
+    if (this.prefixes || this.within.length > 0) {
+      const prefix = String(event.prefix || '').toLowerCase();
+      const exactMatch = this.prefixes ? this.prefixes.has(prefix) : false;
+
+      if (!exactMatch) {
+        if (this.within.length === 0) return false;
+        const parsed = parsePrefix(prefix);
+        if (!this.within.some(outer => prefixCovers(outer, parsed))) return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether the filter lets every event through
+   */
+  isEmpty() {
+    return Object.keys(this.spec).length === 0;
+  }
+
+  parseAsn(value) {
+    const asn = Number(value);
+    if (!Number.isInteger(asn) || asn < 0) throw new Error(`invalid ASN: ${value}`);
+    return asn;
+  }
+
+  toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  toSet(value, field, parse) {
+    const list = this.toList(value);
+    if (list.length === 0) return null;
+    return new Set(list.map(item => parse.call(this, item, field)));
+  }
+
+  normalizedSpec(spec) {
+    const normalized = {};
+    for (const field of KNOWN_FIELDS) {
+      const list = this.toList(spec[field]);
+      if (list.length > 0) normalized[field] = list;
+    }
+    return normalized;
+  }
+}
+
+module.exports = SubscriptionFilter;
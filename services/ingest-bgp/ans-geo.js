@@ -3,10 +3,19 @@
 
 const maxmind = require('maxmind');
 const path = require('path');
+const AsnLocationModel = require('./asn-location-model');
+const { parsePrefix } = require('../shared/prefix-utils');
 
-// GeoLite2 database readers (will be initialized)
-let cityLookup = null;
-let asnLookup = null;
+// GeoLite2 database readers per address family (will be initialized)
+const cityLookups = { 4: null, 6: null };
+const asnLookups = { 4: null, 6: null };
+
+// Learned ASN locations (see initializeASNModel)
+let asnModel = null;
+
+// Confidence reported for the hand-picked ASN_GEO_MAP entries and made-up defaults
+const STATIC_CONFIDENCE = 0.5;
+const DEFAULT_CONFIDENCE = 0;
 
 // Static fallback mapping for major ASNs (used when GeoLite2 fails)
 const ASN_GEO_MAP = {
@@ -128,23 +137,25 @@ async function initializeGeoLite2() {
   try {
     console.log('🌍 Initializing GeoLite2 databases from npm packages...');
     
-    // Use npm packages for database files (correct file names)
-    try {
-      const cityDbPath = require.resolve('@ip-location-db/geolite2-city-mmdb/geolite2-city-ipv4.mmdb');
-      cityLookup = await maxmind.open(cityDbPath);
-      console.log('✅ GeoLite2-City database loaded from npm package');
-    } catch (err) {
-      console.log('⚠️  GeoLite2-City npm package not found, using fallback locations');
-      console.debug('City DB error:', err.message);
-    }
-    
-    try {
-      const asnDbPath = require.resolve('@ip-location-db/geolite2-asn-mmdb/geolite2-asn-ipv4.mmdb');
-      asnLookup = await maxmind.open(asnDbPath);
-      console.log('✅ GeoLite2-ASN database loaded from npm package');
-    } catch (err) {
-      console.log('⚠️  GeoLite2-ASN npm package not found, using static ASN mapping');
-      console.debug('ASN DB error:', err.message);
+    // Use npm packages for database files (correct file names), one per address family
+    for (const family of [4, 6]) {
+      try {
+        const cityDbPath = require.resolve(`@ip-location-db/geolite2-city-mmdb/geolite2-city-ipv${family}.mmdb`);
+        cityLookups[family] = await maxmind.open(cityDbPath);
+        console.log(`✅ GeoLite2-City IPv${family} database loaded from npm package`);
+      } catch (err) {
+        console.log(`⚠️  GeoLite2-City IPv${family} database not found, using fallback locations`);
+        console.debug('City DB error:', err.message);
+      }
+      
+      try {
+        const asnDbPath = require.resolve(`@ip-location-db/geolite2-asn-mmdb/geolite2-asn-ipv${family}.mmdb`);
+        asnLookups[family] = await maxmind.open(asnDbPath);
+        console.log(`✅ GeoLite2-ASN IPv${family} database loaded from npm package`);
+      } catch (err) {
+        console.log(`⚠️  GeoLite2-ASN IPv${family} database not found, using static ASN mapping`);
+        console.debug('ASN DB error:', err.message);
+      }
     }
     
   } catch (err) {
@@ -153,24 +164,78 @@ async function initializeGeoLite2() {
 }
 
 /**
- * Get geographic coordinates for an AS number using GeoLite2
+ * Start the learned ASN location model
+ * @param {object} options - { file, rebuildMs } see AsnLocationModel
+ */
+function initializeASNModel(options = {}) {
+  asnModel = new AsnLocationModel(options);
+  asnModel.start();
+  return asnModel;
+}
+
+/**
+ * Feed the model one prefix an ASN originates, located with the GeoLite2 databases
+ * Prefixes already sampled are skipped, so this is cheap on repeated announcements.
+ */
+function learnASNLocation(asn, prefix) {
+  if (!asnModel || !asn || asnModel.hasSample(asn, prefix)) return;
+
+  const parsed = parsePrefix(prefix);
+  const cityLookup = parsed && cityLookups[parsed.family];
+  if (!cityLookup) return;
+
+  const ip = prefix.split('/')[0].trim();
+  try {
+    const city = cityLookup.get(ip);
+    if (!city || city.latitude === undefined || city.longitude === undefined) return;
+
+    // Skip prefixes the ASN database attributes to someone else (stale, leaked or hijacked)
+    const asnLookup = asnLookups[parsed.family];
+    const owner = asnLookup ? asnLookup.get(ip) : null;
+    if (owner && owner.autonomous_system_number && owner.autonomous_system_number !== asn) return;
+
+    // Weight by size in /24 (v4) or /48 (v6) units, capped so one huge block cannot own the ASN
+    const unitBits = parsed.family === 4 ? 24 : 48;
+    const weight = 2 ** Math.min(Math.max(unitBits - parsed.length, 0), 8);
+
+    asnModel.addSample(asn, prefix, {
+      lat: city.latitude,
+      lng: city.longitude,
+      country: city.country_code || 'Unknown',
+      weight
+    }, owner ? owner.autonomous_system_organization : null);
+  } catch (err) {
+    console.debug(`ASN location sample failed for ${prefix}:`, err.message);
+  }
+}
+
+/**
+ * Get geographic coordinates for an AS number
  * @param {number} asn - AS number
- * @returns {object} - {lat, lng, name, country}
+ * @returns {object} - {lat, lng, name, country, confidence}
  */
 function getASNLocation(asn, metrics = null) {
   if (metrics) metrics.geoLookups++;
   
-  // Fallback to static mapping first (most reliable for known ASNs)
+  // Low-confidence learned locations still beat made-up ones, but not the static map
+  const learned = asnModel ? asnModel.get(asn) : null;
+  if (learned && (!ASN_GEO_MAP[asn] || learned.confidence >= STATIC_CONFIDENCE)) {
+    if (metrics) metrics.geoLite2Hits++;
+    const { pops, samples, ...location } = learned;
+    return location;
+  }
+  
+  // Fallback to static mapping (most reliable for known ASNs)
   if (ASN_GEO_MAP[asn]) {
     // Static ASN mapping is considered successful (not a fallback)
     if (metrics) metrics.geoLite2Hits++;
-    return ASN_GEO_MAP[asn];
+    return { ...ASN_GEO_MAP[asn], confidence: STATIC_CONFIDENCE };
   }
   
   // For unknown ASNs, return a semi-random but consistent location
   const index = asn % DEFAULT_LOCATIONS.length;
   if (metrics) metrics.geoFallbacks++;
-  return DEFAULT_LOCATIONS[index];
+  return { ...DEFAULT_LOCATIONS[index], confidence: DEFAULT_CONFIDENCE };
 }
 
 /**
@@ -181,6 +246,7 @@ function getASNLocation(asn, metrics = null) {
 function getIPLocation(ip, metrics = null) {
   if (metrics) metrics.geoLookups++;
   
+  const cityLookup = cityLookups[ipFamily(ip)];
   if (cityLookup) {
     try {
       const result = cityLookup.get(ip);
@@ -212,7 +278,7 @@ function getIPLocation(ip, metrics = null) {
  */
 function getEnhancedASNLocation(asn, sampleIP = null, metrics = null) {
   // If we have a sample IP from the ASN, use that for accurate geolocation
-  if (sampleIP && cityLookup) {
+  if (sampleIP && cityLookups[ipFamily(sampleIP)]) {
     const ipLocation = getIPLocation(sampleIP, metrics);
     if (ipLocation.lat !== DEFAULT_LOCATIONS[0].lat) {
       return {
@@ -227,6 +293,13 @@ function getEnhancedASNLocation(asn, sampleIP = null, metrics = null) {
   return getASNLocation(asn, metrics);
 }
 
+/**
+ * Address family of an IP string (IPv6 addresses always contain a colon)
+ */
+function ipFamily(ip) {
+  return String(ip).includes(':') ? 6 : 4;
+}
+
 /**
  * Get RRC location by ID
  * @param {number} rrcId - RRC collector ID
@@ -238,6 +311,8 @@ function getRRCLocation(rrcId) {
 
 module.exports = {
   initializeGeoLite2,
+  initializeASNModel,
+  learnASNLocation,
   getASNLocation,
   getIPLocation,
   getEnhancedASNLocation,
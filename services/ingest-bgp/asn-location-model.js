@@ -0,0 +1,274 @@
+/**
+ * ASN Location Model
+ * Learns where an ASN is from the geolocated prefixes it originates
+ *
+ * Samples (one per ASN/prefix, weighted by prefix size) are clustered into
+ * points of presence on a schedule. Each ASN keeps its most recently seen
+ * samples: a full ASN replaces the least recently seen one, and samples not
+ * seen within the sample TTL expire at the next rebuild. The heaviest PoP is the ASN's location, and
+ * the confidence grows with the number of samples and how dominant that PoP is.
+ * Samples and the built model are persisted to a JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const POP_RADIUS_KM = 500;
+const MAX_POPS = 5;
+const FIRST_REBUILD_MS = 60 * 1000; // build soon after start instead of a full period in
+
+class AsnLocationModel {
+  /**
+   * @param {object} options - { file, rebuildMs, maxSamplesPerAsn, sampleTtlMs, clock }
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.rebuildMs = options.rebuildMs || 15 * 60 * 1000;
+    this.maxSamplesPerAsn = options.maxSamplesPerAsn || 64;
+    this.sampleTtlMs = options.sampleTtlMs || 7 * 24 * 60 * 60 * 1000;
+    this.clock = options.clock || (() => Date.now()); // replays pass in the recording's clock
+
+    // Per-ASN maps are kept in least-recently-seen order (a sighting re-inserts the prefix)
+    this.samples = new Map();   // asn -> Map(prefix -> { lat, lng, country, weight, seen })
+    this.names = new Map();     // asn -> organisation name from the ASN database
+    this.locations = new Map(); // asn -> { lat, lng, country, name, confidence, samples, pops }
+    this.builtAt = null;
+    this.rebuildTimer = null;
+    this.expired = 0;
+    this.evicted = 0;
+    this.dirty = false;
+  }
+
+  /**
+   * Load a persisted model, rebuild it from the loaded samples and start the
+   * rebuild schedule (the first run comes early, then every rebuildMs)
+   */
+  start() {
+    this.load();
+    this.rebuild();
+
+    const scheduled = () => {
+      this.rebuild();
+      this.save().catch(err => console.error('❌ Failed to save ASN location model:', err.message));
+    };
+    this.rebuildTimer = setTimeout(() => {
+      scheduled();
+      this.rebuildTimer = setInterval(scheduled, this.rebuildMs);
+    }, Math.min(FIRST_REBUILD_MS, this.rebuildMs));
+  }
+
+  async stop() {
+    if (this.rebuildTimer) {
+      // clearInterval clears either kind of timer
+      clearInterval(this.rebuildTimer);
+      this.rebuildTimer = null;
+    }
+    await this.save();
+  }
+
+  /**
+   * Whether the prefix is already sampled, counting as a sighting when it is
+   */
+  hasSample(asn, prefix) {
+    const samples = this.samples.get(asn);
+    const sample = samples && samples.get(prefix);
+    if (!sample) return false;
+
+    sample.seen = this.clock();
+    samples.delete(prefix);
+    samples.set(prefix, sample);
+    return true;
+  }
+
+  /**
+   * Record where one of the ASN's prefixes geolocates, replacing the least
+   * recently seen sample when the ASN is full
+   * @param {object} sample - { lat, lng, country, weight }
+   */
+  addSample(asn, prefix, sample, name = null) {
+    if (!this.samples.has(asn)) this.samples.set(asn, new Map());
+    const samples = this.samples.get(asn);
+
+    samples.delete(prefix);
+    if (samples.size >= this.maxSamplesPerAsn) {
+      samples.delete(samples.keys().next().value);
+      this.evicted++;
+    }
+
+    samples.set(prefix, { ...sample, seen: this.clock() });
+    if (name) this.names.set(asn, name);
+    this.dirty = true;
+  }
+
+  /**
+   * Drop samples not seen within the sample TTL, and ASNs left without any
+   */
+  expireSamples(now = this.clock()) {
+    const cutoff = now - this.sampleTtlMs;
+    let expired = 0;
+
+    for (const [asn, samples] of this.samples) {
+      // Oldest first, so stop at the first sample still fresh
+      for (const [prefix, sample] of samples) {
+        if (sample.seen >= cutoff) break;
+        samples.delete(prefix);
+        expired++;
+      }
+      if (samples.size === 0) this.samples.delete(asn);
+    }
+
+    if (expired > 0) {
+      this.expired += expired;
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Learned location of an ASN, null until the model has seen it
+   */
+  get(asn) {
+    return this.locations.get(asn) || null;
+  }
+
+  /**
+   * Cluster every ASN's samples into PoPs
+   */
+  rebuild() {
+    this.expireSamples();
+    if (!this.dirty && this.builtAt) return;
+
+    const locations = new Map();
+    for (const [asn, samples] of this.samples) {
+      const location = this.buildLocation(asn, Array.from(samples.values()));
+      if (location) locations.set(asn, location);
+    }
+
+    this.locations = locations;
+    this.builtAt = Date.now();
+    this.dirty = false;
+    console.log(`🗺️ Rebuilt ASN location model: ${locations.size} ASNs`);
+  }
+
+  buildLocation(asn, samples) {
+    if (samples.length === 0) return null;
+
+    // Greedy clustering, heaviest samples seed the PoPs
+    const pops = [];
+    for (const sample of [...samples].sort((a, b) => b.weight - a.weight)) {
+      const pop = pops.find(candidate => distanceKm(candidate, sample) <= POP_RADIUS_KM);
+      if (pop) {
+        pop.lat = (pop.lat * pop.weight + sample.lat * sample.weight) / (pop.weight + sample.weight);
+        pop.lng = (pop.lng * pop.weight + sample.lng * sample.weight) / (pop.weight + sample.weight);
+        pop.weight += sample.weight;
+        pop.samples++;
+      } else {
+        pops.push({ lat: sample.lat, lng: sample.lng, country: sample.country, weight: sample.weight, samples: 1 });
+      }
+    }
+
+    pops.sort((a, b) => b.weight - a.weight);
+    const totalWeight = pops.reduce((sum, pop) => sum + pop.weight, 0);
+    const top = pops[0];
+
+    // Dominance of the main PoP, discounted while there are few samples
+    const confidence = (top.weight / totalWeight) * (samples.length / (samples.length + 3));
+
+    return {
+      lat: round(top.lat, 4),
+      lng: round(top.lng, 4),
+      country: top.country,
+      name: this.names.get(asn) || `AS${asn}`,
+      confidence: round(confidence, 2),
+      samples: samples.length,
+      pops: pops.slice(0, MAX_POPS).map(pop => ({
+        lat: round(pop.lat, 4),
+        lng: round(pop.lng, 4),
+        country: pop.country,
+        share: round(pop.weight / totalWeight, 2)
+      }))
+    };
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const now = this.clock();
+
+      for (const [asn, entries] of Object.entries(stored.samples || {})) {
+        const samples = new Map();
+        // Files written before samples carried a last-seen time count as seen now
+        const ordered = entries
+          .map(([prefix, lat, lng, country, weight, seen = now]) => [prefix, { lat, lng, country, weight, seen }])
+          .sort((a, b) => a[1].seen - b[1].seen);
+        for (const [prefix, sample] of ordered) samples.set(prefix, sample);
+        this.samples.set(Number(asn), samples);
+      }
+      for (const [asn, name] of Object.entries(stored.names || {})) {
+        this.names.set(Number(asn), name);
+      }
+      for (const [asn, location] of Object.entries(stored.locations || {})) {
+        this.locations.set(Number(asn), location);
+      }
+
+      this.builtAt = stored.built_at || null;
+      // Samples added after the last rebuild were saved without their locations
+      this.dirty = this.samples.size > 0;
+      console.log(`🗺️ Loaded ASN location model: ${this.locations.size} ASNs, ${this.samples.size} sampled`);
+    } catch (err) {
+      console.error(`❌ Failed to load ASN location model from ${this.file}:`, err.message);
+    }
+  }
+
+  /**
+   * Write the model atomically (temp file + rename)
+   */
+  async save() {
+    if (!this.file) return;
+
+    const stored = {
+      built_at: this.builtAt,
+      locations: Object.fromEntries(this.locations),
+      names: Object.fromEntries(this.names),
+      samples: {}
+    };
+    for (const [asn, samples] of this.samples) {
+      stored.samples[asn] = Array.from(samples, ([prefix, s]) => [prefix, s.lat, s.lng, s.country, s.weight, s.seen]);
+    }
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(stored));
+    await fs.promises.rename(temp, this.file);
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      asnsLocated: this.locations.size,
+      asnsSampled: this.samples.size,
+      samplesExpired: this.expired,
+      samplesEvicted: this.evicted,
+      builtAt: this.builtAt
+    };
+  }
+}
+
+function distanceKm(a, b) {
+  const toRad = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = AsnLocationModel;
@@ -3,11 +3,20 @@
  * Handles conversion from RIPE format to internal arc format
  */
 
+const { parsePrefix } = require('../shared/prefix-utils');
+
 class BgpProcessor {
-  constructor() {
+  constructor(options = {}) {
     // Color configuration
     this.ANNOUNCE_COLOR = '#3aa3ff';
     this.WITHDRAW_COLOR = '#ff8a3a';
+    this.BLACKHOLE_COLOR = '#b44dff';
+
+    // Optional RpkiValidator, announcements get an `rpki` status once VRPs are loaded
+    this.rpkiValidator = options.rpkiValidator || null;
+
+    // Optional CommunityDecoder, announcements get their communities named
+    this.communityDecoder = options.communityDecoder || null;
   }
 
   /**
@@ -26,7 +35,7 @@ class BgpProcessor {
     // Process announcements
     if (bgpData.announcements && bgpData.announcements.length > 0) {
       const path = bgpData.path || []; // AS path is at top level
-      const peerAsn = bgpData.peer_asn; // The AS announcing this route
+      const peerAsn = Number(bgpData.peer_asn); // The AS announcing this route (RIS sends a string)
       
       // Get origin ASN from path (last ASN) or fallback to peer
       let originAsn = peerAsn;
@@ -34,20 +43,23 @@ class BgpProcessor {
         const lastPathElement = path[path.length - 1];
         originAsn = Array.isArray(lastPathElement) ? lastPathElement[0] : lastPathElement;
       }
+
+      // Communities are path attributes, shared by every prefix in the message
+      const communities = this.communityDecoder ? this.communityDecoder.decode(bgpData) : [];
       
       bgpData.announcements.forEach(announcement => {
         if (!announcement.prefixes || announcement.prefixes.length === 0) return;
         
         announcement.prefixes.forEach(prefix => {
-          // Extract potential IP for later geolocation
-          const ipMatch = prefix.match(/^([0-9.]+)/);
-          const sampleIP = ipMatch ? ipMatch[1] : null;
+          // Extract potential IP (v4 or v6) for later geolocation
+          const { sampleIP, family } = this.addressInfo(prefix);
           
-          events.push({
-            schema: 'bgp.arc.v0',
+          const event = {
+            schema: 'bgp.arc.v1',
             ts: timestamp,
             event: 'announce',
             prefix: prefix,
+            family: family,
             origin_asn: originAsn,
             peer_asn: peerAsn,
             as_path: path,
@@ -56,29 +68,35 @@ class BgpProcessor {
             // Metadata for future anomaly detection
             rrc: bgpData.host,
             path_length: path.length,
-            communities: announcement.communities || []
-          });
+            communities: communities
+          };
+
+          if (this.rpkiValidator && this.rpkiValidator.enabled) {
+            event.rpki = this.rpkiValidator.validate(prefix, originAsn);
+          }
+
+          events.push(event);
         });
       });
     }
     
     // Process withdrawals
     if (bgpData.withdrawals && bgpData.withdrawals.length > 0) {
-      const peerAsn = bgpData.peer_asn;
+      const peerAsn = Number(bgpData.peer_asn);
       
       bgpData.withdrawals.forEach(prefix => {
         if (!prefix) return;
         
-        // Extract potential IP for later geolocation
-        const ipMatch = prefix.match(/^([0-9.]+)/);
-        const sampleIP = ipMatch ? ipMatch[1] : null;
+        // Extract potential IP (v4 or v6) for later geolocation
+        const { sampleIP, family } = this.addressInfo(prefix);
         
         events.push({
-          schema: 'bgp.arc.v0',
+          schema: 'bgp.arc.v1',
           ts: timestamp,
           event: 'withdraw',
           prefix: prefix,
-          origin_asn: null, // Unknown for withdrawals
+          family: family,
+          origin_asn: null, // Filled in from the RIB state when the route was seen
           peer_asn: peerAsn,
           as_path: [],
           sample_ip: sampleIP, // Store for later geolocation
@@ -91,6 +109,72 @@ class BgpProcessor {
     return events;
   }
 
+  /**
+   * Announcements carrying a blackhole community (RTBH) become `blackhole` events
+   */
+  markBlackholes(events) {
+    return events.map(event => {
+      if (event.event !== 'announce' || !BgpProcessor.isBlackholed(event)) return event;
+      return { ...event, event: 'blackhole', color: this.BLACKHOLE_COLOR };
+    });
+  }
+
+  static isBlackholed(event) {
+    return Boolean(event.communities && event.communities.some(community => community.blackhole));
+  }
+
+  /**
+   * Located hops from the collector that saw the update out to the origin
+   * [{ rrc, lat, lng }, { asn, lat, lng, confidence }, ...], prepends collapsed.
+   * Withdrawals follow the path being withdrawn, or end at the peer when it is unknown.
+   */
+  buildHops(event) {
+    const { getASNLocation, getRRCLocation } = require('./ans-geo');
+    const hops = [];
+
+    const rrcMatch = /^rrc(\d+)$/i.exec(event.rrc || '');
+    if (rrcMatch) {
+      const { lat, lng } = getRRCLocation(Number(rrcMatch[1]));
+      hops.push({ rrc: event.rrc, lat, lng });
+    }
+
+    const path = event.as_path && event.as_path.length > 0 ? event.as_path : [event.peer_asn];
+    let previous = null;
+    for (const hop of path) {
+      // AS_SETs are drawn at their first member
+      const asn = Array.isArray(hop) ? hop[0] : hop;
+      if (asn === previous || asn === undefined) continue;
+      previous = asn;
+
+      const { lat, lng, confidence } = getASNLocation(asn);
+      hops.push({ asn, lat, lng, confidence });
+    }
+
+    return hops;
+  }
+
+  /**
+   * Network address and address family (4 or 6) of a prefix, nulls if it does not parse
+   */
+  addressInfo(prefix) {
+    const parsed = parsePrefix(prefix);
+    if (!parsed) return { sampleIP: null, family: null };
+
+    return { sampleIP: prefix.split('/')[0].trim(), family: parsed.family };
+  }
+
+  /**
+   * Where the prefix itself geolocates, for withdrawals whose origin is unknown
+   * @param {object} fallback - location to use when the prefix has no address to look up
+   */
+  prefixLocation(event, fallback, metrics = null) {
+    const { getIPLocation } = require('./ans-geo');
+    if (!event.sample_ip) return fallback;
+
+    const { lat, lng } = getIPLocation(event.sample_ip, metrics);
+    return { lat, lng };
+  }
+
   /**
    * Add geolocation data to events (called after throttling)
    */
@@ -108,19 +192,20 @@ class BgpProcessor {
         srcLocation = getASNLocation(event.peer_asn, metrics) || 
                      { lat: 52.3676, lng: 4.9041 }; // Amsterdam fallback
         
-        if (event.event === 'announce' && event.origin_asn) {
+        // Withdrawals carry the origin they had in the RIB state, when it was known
+        if (event.origin_asn) {
           dstLocation = getASNLocation(event.origin_asn, metrics) || 
                        { lat: 40.7128, lng: -74.0060 }; // NYC fallback
         } else {
-          dstLocation = { lat: 0, lng: 0 }; // Withdrawals or unknown origin
+          dstLocation = this.prefixLocation(event, srcLocation, metrics); // Withdrawal of a route never seen
         }
         
       } catch (err) {
         // Fallback to basic ASN location on any error
         srcLocation = getASNLocation(event.peer_asn, metrics) || { lat: 52.3676, lng: 4.9041 };
-        dstLocation = event.event === 'announce' && event.origin_asn ? 
+        dstLocation = event.origin_asn ? 
           getASNLocation(event.origin_asn, metrics) || { lat: 40.7128, lng: -74.0060 } : 
-          { lat: 0, lng: 0 };
+          srcLocation;
       }
       
       // Remove sample_ip and add final locations
@@ -128,7 +213,8 @@ class BgpProcessor {
       const finalEvent = {
         ...eventWithoutSampleIP,
         src: srcLocation,
-        dst: dstLocation
+        dst: dstLocation,
+        hops: this.buildHops(event)
       };
       
       
@@ -0,0 +1,175 @@
+/**
+ * Community Decoder
+ * Names standard (RFC 1997), extended (RFC 4360) and large (RFC 8092) BGP communities
+ * and spots remotely triggered blackholing (RFC 7999)
+ *
+ * Communities are written the way operators do: "65535:666", "64500:1:2" (large),
+ * "rt:64500:100" / "soo:64500:100" (route target / site of origin) or "0x<16 hex digits>"
+ * for other extended communities. Well-known communities and a few transit providers'
+ * blackhole communities are built in; a local JSON file adds operator meanings and is
+ * reloaded when it changes:
+ *
+ *   {
+ *     "64500:100": "customer routes",
+ *     "64500:666": { "meaning": "AS64500 blackhole", "blackhole": true },
+ *     "64500:*": "AS64500 traffic engineering",     // * matches the last field
+ *     "64500:1:*": "AS64500 learned at IX"
+ *   }
+ */
+
+const fs = require('fs');
+
+const WELL_KNOWN = {
+  '65535:0': { meaning: 'GRACEFUL_SHUTDOWN' },                       // RFC 8326
+  '65535:1': { meaning: 'ACCEPT_OWN' },                              // RFC 7611
+  '65535:6': { meaning: 'LLGR_STALE' },                              // RFC 9494
+  '65535:7': { meaning: 'NO_LLGR' },
+  '65535:666': { meaning: 'BLACKHOLE', blackhole: true },            // RFC 7999
+  '65535:65281': { meaning: 'NO_EXPORT' },                           // RFC 1997
+  '65535:65282': { meaning: 'NO_ADVERTISE' },
+  '65535:65283': { meaning: 'NO_EXPORT_SUBCONFED' },
+  '65535:65284': { meaning: 'NOPEER' },                              // RFC 3765
+
+  // Transit providers that take their own blackhole community
+  '1299:999': { meaning: 'Arelion blackhole', blackhole: true },
+  '2914:666': { meaning: 'NTT blackhole', blackhole: true },
+  '3356:9999': { meaning: 'Lumen blackhole', blackhole: true },
+  '6939:666': { meaning: 'Hurricane Electric blackhole', blackhole: true }
+};
+
+// Extended community subtypes we spell out, for the AS and IPv4 specific types
+const EXTENDED_SUBTYPES = { 0x02: 'rt', 0x03: 'soo' };
+
+class CommunityDecoder {
+  /**
+   * @param {object} options - { file, watchIntervalMs }
+   *   file: JSON dictionary of operator-defined communities
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.watchIntervalMs = options.watchIntervalMs || 10000;
+
+    this.dictionary = new Map(Object.entries(WELL_KNOWN));
+    this.loadedAt = null;
+
+    // Metrics
+    this.decoded = 0;
+    this.named = 0;
+    this.blackholes = 0;
+
+    if (this.file) {
+      this.load();
+      fs.watchFile(this.file, { interval: this.watchIntervalMs }, () => this.load());
+    }
+  }
+
+  /**
+   * Load the dictionary file, keeping the previous one when it is missing or broken
+   */
+  load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('not an object of community -> meaning');
+      }
+
+      const dictionary = new Map(Object.entries(WELL_KNOWN));
+      for (const [community, entry] of Object.entries(parsed)) {
+        const meaning = typeof entry === 'string' ? entry : entry && entry.meaning;
+        if (typeof meaning !== 'string') {
+          throw new Error(`${community} has no meaning`);
+        }
+        dictionary.set(community.toLowerCase(), { meaning, blackhole: Boolean(entry.blackhole) });
+      }
+
+      this.dictionary = dictionary;
+      this.loadedAt = Date.now();
+      console.log(`🏷️ Loaded ${dictionary.size - Object.keys(WELL_KNOWN).length} communities from ${this.file}`);
+    } catch (err) {
+      console.error(`❌ Failed to load communities from ${this.file}:`, err.message);
+    }
+  }
+
+  /**
+   * Decode the communities of a ris_message
+   * RIS Live sends standard communities as `community` pairs; MRT replays also
+   * carry `large_community` triples and `extended_community` hex strings.
+   * @returns {Array} - [{ value, type, meaning?, blackhole? }]
+   */
+  decode(bgpData) {
+    const communities = [];
+
+    for (const community of bgpData.community || []) {
+      // Triples are large communities
+      communities.push(this.describe(community.join(':'), community.length === 3 ? 'large' : 'standard'));
+    }
+    for (const community of bgpData.large_community || []) {
+      communities.push(this.describe(community.join(':'), 'large'));
+    }
+    for (const hex of bgpData.extended_community || []) {
+      communities.push(this.describe(CommunityDecoder.formatExtended(hex), 'extended'));
+    }
+
+    this.decoded += communities.length;
+    return communities;
+  }
+
+  describe(value, type) {
+    const community = { value, type };
+    const entry = this.lookup(value);
+    if (!entry) return community;
+
+    this.named++;
+    community.meaning = entry.meaning;
+    if (entry.blackhole) {
+      this.blackholes++;
+      community.blackhole = true;
+    }
+    return community;
+  }
+
+  /**
+   * Exact match first, then the same community with a wildcard last field
+   */
+  lookup(value) {
+    const exact = this.dictionary.get(value);
+    if (exact) return exact;
+
+    return this.dictionary.get(value.replace(/[^:]+$/, '*')) || null;
+  }
+
+  /**
+   * Operator notation for an 8-byte extended community given as hex
+   */
+  static formatExtended(hex) {
+    const bytes = Buffer.from(hex, 'hex');
+    if (bytes.length !== 8) return `0x${hex}`;
+
+    const type = bytes[0] & 0xbf; // the transitive bit does not change the layout
+    const subtype = EXTENDED_SUBTYPES[bytes[1]];
+    if (!subtype) return `0x${hex}`;
+
+    if (type === 0x00) return `${subtype}:${bytes.readUInt16BE(2)}:${bytes.readUInt32BE(4)}`;
+    if (type === 0x01) return `${subtype}:${bytes.subarray(2, 6).join('.')}:${bytes.readUInt16BE(6)}`;
+    if (type === 0x02) return `${subtype}:${bytes.readUInt32BE(2)}:${bytes.readUInt16BE(6)}`;
+    return `0x${hex}`;
+  }
+
+  close() {
+    if (this.file) fs.unwatchFile(this.file);
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      dictionarySize: this.dictionary.size,
+      decoded: this.decoded,
+      named: this.named,
+      blackholes: this.blackholes
+    };
+  }
+}
+
+module.exports = CommunityDecoder;
@@ -0,0 +1,212 @@
+/**
+ * Flap Detector
+ * Route flap damping scores in the spirit of RFC 2439
+ *
+ * Every prefix/peer pair carries a penalty that decays exponentially with
+ * `halfLifeMs`. Withdrawals and path changes add to it; past `suppress` the
+ * pair counts as suppressed, and it is reusable again once the penalty has
+ * decayed below `reuse`. A prefix is flapping while any of its peers is
+ * suppressed, and a `flap` alert is raised when that starts and when it stops.
+ * Updates are scored at their own timestamps so replays score the same.
+ */
+
+// Cisco-style defaults
+const DEFAULT_PENALTIES = {
+  withdraw: 1000,
+  readvertise: 0,
+  attributeChange: 500
+};
+
+class FlapDetector {
+  /**
+   * @param {object} options - { halfLifeMs, suppress, reuse, maxSuppressMs, penalties }
+   */
+  constructor(options = {}) {
+    this.halfLifeMs = options.halfLifeMs || 15 * 60 * 1000;
+    this.suppress = options.suppress || 2000;
+    this.reuse = options.reuse || 750;
+    this.penalties = { ...DEFAULT_PENALTIES, ...options.penalties };
+
+    // Penalty ceiling: a route is never held suppressed longer than maxSuppressMs after it stops flapping
+    const maxSuppressMs = options.maxSuppressMs || 60 * 60 * 1000;
+    this.ceiling = this.reuse * 2 ** (maxSuppressMs / this.halfLifeMs);
+
+    this.clock = () => Date.now(); // replays swap in the recording's clock
+
+    // prefix -> { prefix, origin, flapping, since, flaps, peers: Map(peer key -> state) }
+    this.prefixes = new Map();
+
+    // Metrics
+    this.flapStarts = 0;
+    this.flapStops = 0;
+  }
+
+  /**
+   * Feed converted events, returns bgp.alert.v0 `flap` alerts for prefixes that started flapping
+   */
+  observe(events) {
+    const alerts = [];
+
+    for (const event of events) {
+      if (event.event !== 'announce' && event.event !== 'withdraw') continue;
+
+      const alert = this.update(event);
+      if (alert) alerts.push(alert);
+    }
+
+    return alerts;
+  }
+
+  update(event) {
+    const now = event.ts * 1000;
+    let state = this.prefixes.get(event.prefix);
+    if (!state) {
+      state = { prefix: event.prefix, origin: null, flapping: false, since: null, flaps: 0, peers: new Map() };
+      this.prefixes.set(event.prefix, state);
+    }
+    if (event.origin_asn) state.origin = event.origin_asn;
+
+    const peerKey = `${event.rrc || 'unknown'}|${event.peer_asn}`;
+    let peer = state.peers.get(peerKey);
+    if (!peer) {
+      peer = { peer_asn: event.peer_asn, penalty: 0, updated: now, suppressed: false, lastEvent: null, lastPath: null };
+      state.peers.set(peerKey, peer);
+    }
+
+    const penalty = this.penaltyFor(peer, event);
+    peer.penalty = Math.min(this.decayed(peer, now) + penalty, this.ceiling);
+    peer.updated = Math.max(peer.updated, now);
+    peer.lastEvent = event.event;
+    if (event.event === 'announce') peer.lastPath = this.hashPath(event.as_path);
+
+    if (penalty > 0) state.flaps++;
+    if (!peer.suppressed && peer.penalty >= this.suppress) peer.suppressed = true;
+
+    if (!state.flapping && peer.suppressed) {
+      state.flapping = true;
+      state.since = event.ts;
+      this.flapStarts++;
+      return this.buildAlert('start', state, event.ts);
+    }
+
+    return null;
+  }
+
+  /**
+   * Penalty for an update given what the peer last sent (nothing for the first update seen)
+   */
+  penaltyFor(peer, event) {
+    if (!peer.lastEvent) return 0;
+
+    if (event.event === 'withdraw') {
+      return peer.lastEvent === 'announce' ? this.penalties.withdraw : 0;
+    }
+    if (peer.lastEvent === 'withdraw') {
+      return this.penalties.readvertise;
+    }
+    return this.hashPath(event.as_path) !== peer.lastPath ? this.penalties.attributeChange : 0;
+  }
+
+  decayed(peer, now) {
+    const elapsed = Math.max(now - peer.updated, 0);
+    return peer.penalty * 2 ** (-elapsed / this.halfLifeMs);
+  }
+
+  hashPath(path) {
+    return Array.isArray(path) ? path.join(' ') : '';
+  }
+
+  /**
+   * Decay penalties, release reusable peers and forget quiet ones
+   * @returns {Array} - `flap` alerts for prefixes that stopped flapping
+   */
+  sweep() {
+    const now = this.clock();
+    const alerts = [];
+
+    for (const [prefix, state] of this.prefixes) {
+      for (const peer of state.peers.values()) {
+        if (peer.suppressed && this.decayed(peer, now) < this.reuse) peer.suppressed = false;
+      }
+
+      if (state.flapping && !Array.from(state.peers.values()).some(peer => peer.suppressed)) {
+        state.flapping = false;
+        this.flapStops++;
+        alerts.push(this.buildAlert('stop', state, now / 1000));
+      }
+
+      // Peers well below reuse and idle for a half-life have nothing left to score
+      for (const [peerKey, peer] of state.peers) {
+        if (!peer.suppressed && this.decayed(peer, now) < this.reuse / 2 && now - peer.updated >= this.halfLifeMs) {
+          state.peers.delete(peerKey);
+        }
+      }
+
+      if (state.peers.size === 0) this.prefixes.delete(prefix);
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Prefixes with the highest current penalty (the worst of their peers)
+   */
+  top(limit = 10) {
+    const now = this.clock();
+
+    return Array.from(this.prefixes.values(), state => {
+      const peers = Array.from(state.peers.values());
+      return {
+        prefix: state.prefix,
+        origin_asn: state.origin,
+        penalty: Math.round(Math.max(0, ...peers.map(peer => this.decayed(peer, now)))),
+        flaps: state.flaps,
+        flapping: state.flapping,
+        since: state.since,
+        peers_suppressed: peers.filter(peer => peer.suppressed).length
+      };
+    })
+      .filter(entry => entry.penalty > 0)
+      .sort((a, b) => b.penalty - a.penalty)
+      .slice(0, limit);
+  }
+
+  buildAlert(transition, state, ts) {
+    const now = ts * 1000;
+    const peers = Array.from(state.peers.values());
+
+    return {
+      schema: 'bgp.alert.v0',
+      ts,
+      alert: 'flap',
+      state: transition,
+      severity: 'low',
+      prefix: state.prefix,
+      origin_asn: state.origin,
+      penalty: Math.round(Math.max(0, ...peers.map(peer => this.decayed(peer, now)))),
+      flaps: state.flaps,
+      peers: peers.filter(peer => peer.suppressed).map(peer => peer.peer_asn),
+      since: state.since,
+      duration: transition === 'stop' ? Math.round(ts - state.since) : 0
+    };
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    let flapping = 0;
+    for (const state of this.prefixes.values()) {
+      if (state.flapping) flapping++;
+    }
+
+    return {
+      flapStarts: this.flapStarts,
+      flapStops: this.flapStops,
+      flappingPrefixes: flapping,
+      dampedPrefixes: this.prefixes.size
+    };
+  }
+}
+
+module.exports = FlapDetector;
@@ -0,0 +1,224 @@
+/**
+ * Hijack Detector
+ * Tracks the origin ASNs announced for each prefix and flags
+ * multiple-origin (MOAS) conflicts and more-specific announcements
+ * from an origin the covering prefix does not have
+ */
+
+const { parsePrefix, truncatePrefix } = require('../shared/prefix-utils');
+
+class HijackDetector {
+  constructor(options = {}) {
+    this.alertCooldownMs = options.alertCooldownMs || 60 * 60 * 1000; // 1 hour per prefix/origin
+    this.stateTtlMs = options.stateTtlMs || 6 * 60 * 60 * 1000;        // forget prefixes idle for 6 hours
+
+    // prefix key -> { prefix, peers: Map(peer -> origin), origins: Map(origin -> { firstSeen, peers }), updated }
+    this.prefixes = new Map();
+    this.lastAlerted = new Map(); // alert key -> ms
+
+    // Metrics
+    this.moasAlerts = 0;
+    this.subprefixAlerts = 0;
+  }
+
+  /**
+   * Feed converted events, returns bgp.alert.v0 events for anything suspicious
+   */
+  observe(events) {
+    const alerts = [];
+
+    for (const event of events) {
+      const parsed = parsePrefix(event.prefix);
+      if (!parsed) continue;
+
+      if (event.event === 'announce') {
+        const alert = this.observeAnnounce(event, parsed);
+        if (alert) alerts.push(alert);
+      } else if (event.event === 'withdraw') {
+        this.observeWithdraw(event, parsed);
+      }
+    }
+
+    return alerts;
+  }
+
+  observeAnnounce(event, parsed) {
+    const key = this.prefixKey(parsed);
+    const origin = event.origin_asn;
+    const peer = event.peer_asn;
+    const seenAt = event.ts;
+    let state = this.prefixes.get(key);
+    let alert = null;
+
+    if (!state) {
+      // A prefix we have not seen: check it against the closest covering prefix
+      alert = this.checkSubprefix(event, parsed);
+
+      state = { prefix: event.prefix, peers: new Map(), origins: new Map(), updated: 0 };
+      this.prefixes.set(key, state);
+    } else if (!state.origins.has(origin) && state.origins.size > 0) {
+      alert = this.checkMoas(event, state);
+    }
+
+    // Move the peer to its new origin
+    const previousOrigin = state.peers.get(peer);
+    if (previousOrigin !== undefined && previousOrigin !== origin) {
+      this.removePeer(state, peer, previousOrigin);
+    }
+    state.peers.set(peer, origin);
+
+    if (!state.origins.has(origin)) {
+      state.origins.set(origin, { firstSeen: seenAt, peers: new Set() });
+    }
+    state.origins.get(origin).peers.add(peer);
+    state.updated = Date.now();
+
+    return alert;
+  }
+
+  observeWithdraw(event, parsed) {
+    const key = this.prefixKey(parsed);
+    const state = this.prefixes.get(key);
+    if (!state) return;
+
+    const origin = state.peers.get(event.peer_asn);
+    if (origin === undefined) return;
+
+    this.removePeer(state, event.peer_asn, origin);
+    state.peers.delete(event.peer_asn);
+    state.updated = Date.now();
+
+    if (state.peers.size === 0) {
+      this.prefixes.delete(key);
+    }
+  }
+
+  removePeer(state, peer, origin) {
+    const entry = state.origins.get(origin);
+    if (!entry) return;
+
+    entry.peers.delete(peer);
+    if (entry.peers.size === 0) {
+      state.origins.delete(origin);
+    }
+  }
+
+  /**
+   * Same prefix, different origin
+   */
+  checkMoas(event, state) {
+    const oldOrigins = Array.from(state.origins.keys());
+
+    // Old origin still in the path: a provider re-originating or prepending, not a conflict
+    if (this.pathContainsAny(event.as_path, oldOrigins)) return null;
+
+    return this.buildAlert('moas', event, {
+      prefix: event.prefix,
+      coveringPrefix: null,
+      oldOrigins,
+      existing: state
+    });
+  }
+
+  /**
+   * New more-specific of a prefix announced by other origins
+   */
+  checkSubprefix(event, parsed) {
+    for (let length = parsed.length - 1; length >= 1; length--) {
+      const covering = this.prefixes.get(this.prefixKey(truncatePrefix(parsed, length)));
+      if (!covering || covering.origins.size === 0) continue;
+
+      // Only the closest covering prefix decides
+      const oldOrigins = Array.from(covering.origins.keys());
+      if (oldOrigins.includes(event.origin_asn)) return null;
+
+      // Covering origin upstream of the new origin: a customer de-aggregating, not a hijack
+      if (this.pathContainsAny(event.as_path, oldOrigins)) return null;
+
+      return this.buildAlert('subprefix', event, {
+        prefix: event.prefix,
+        coveringPrefix: covering.prefix,
+        oldOrigins,
+        existing: covering
+      });
+    }
+
+    return null;
+  }
+
+  buildAlert(type, event, { prefix, coveringPrefix, oldOrigins, existing }) {
+    const alertKey = `${type}:${prefix}:${event.origin_asn}`;
+    const now = Date.now();
+    const last = this.lastAlerted.get(alertKey);
+    if (last && now - last < this.alertCooldownMs) return null;
+    this.lastAlerted.set(alertKey, now);
+
+    if (type === 'moas') this.moasAlerts++;
+    if (type === 'subprefix') this.subprefixAlerts++;
+
+    const oldOriginDetails = oldOrigins.map(origin => {
+      const entry = existing.origins.get(origin);
+      return {
+        asn: origin,
+        first_seen: entry.firstSeen,
+        peers: Array.from(entry.peers)
+      };
+    });
+
+    return {
+      schema: 'bgp.alert.v0',
+      ts: event.ts,
+      alert: type,
+      severity: type === 'subprefix' ? 'high' : 'medium',
+      prefix,
+      covering_prefix: coveringPrefix,
+      old_origins: oldOriginDetails,
+      new_origin: event.origin_asn,
+      peers: [event.peer_asn],
+      as_path: event.as_path,
+      first_seen: event.ts,
+      rrc: event.rrc
+    };
+  }
+
+  pathContainsAny(path, asns) {
+    const flat = (path || []).flat();
+    return asns.some(asn => flat.includes(asn));
+  }
+
+  prefixKey(parsed) {
+    return `${parsed.family}/${parsed.length}/${parsed.value.toString(16)}`;
+  }
+
+  /**
+   * Drop prefixes that have not been updated recently
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.stateTtlMs;
+    for (const [key, state] of this.prefixes.entries()) {
+      if (state.updated < cutoff) {
+        this.prefixes.delete(key);
+      }
+    }
+
+    const alertCutoff = Date.now() - this.alertCooldownMs;
+    for (const [key, ts] of this.lastAlerted.entries()) {
+      if (ts < alertCutoff) {
+        this.lastAlerted.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      moasAlerts: this.moasAlerts,
+      subprefixAlerts: this.subprefixAlerts,
+      trackedPrefixes: this.prefixes.size
+    };
+  }
+}
+
+module.exports = HijackDetector;
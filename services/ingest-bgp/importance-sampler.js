@@ -0,0 +1,182 @@
+/**
+ * Importance Sampler
+ * Keeps the published event rate near a target, spending it on the most novel events first
+ *
+ * Every event gets one category, the first that applies:
+ *   pinned         peer or path has an ASN from the subscription file's asns.include
+ *   rpki_invalid   the origin is RPKI invalid (when VRPs are loaded)
+ *   blackhole      the announcement carries a blackhole community (RTBH)
+ *   origin_change  the prefix was last seen from another origin
+ *   new_prefix     the prefix has not been seen recently
+ *   rare_asn       the origin has sent few updates recently
+ *   burst          the origin is sending many updates right now
+ *   routine        everything else
+ * Input rates are measured per category each window, and the target rate is handed
+ * out in that order: a category is kept whole while the budget lasts, the one where
+ * it runs out is sampled, and the rest are dropped until the next window.
+ */
+
+const CATEGORIES = ['pinned', 'rpki_invalid', 'blackhole', 'origin_change', 'new_prefix', 'rare_asn', 'burst', 'routine'];
+
+class ImportanceSampler {
+  /**
+   * @param {object} options - { targetRate, windowMs, maxPrefixes, rareBelow, burstAbove, asnHalfLifeMs }
+   */
+  constructor(options = {}) {
+    this.targetRate = options.targetRate || 30;         // events per second
+    this.windowMs = options.windowMs || 5000;
+    this.maxPrefixes = options.maxPrefixes || 500000;   // prefix -> origin memory
+    this.rareBelow = options.rareBelow || 3;            // recent updates for an origin to count as rare
+    this.burstAbove = options.burstAbove || 50;         // updates per window for an origin to count as a burst
+    this.asnHalfLifeMs = options.asnHalfLifeMs || 10 * 60 * 1000;
+
+    this.clock = () => Date.now(); // replays swap in the recording's clock
+    this.random = Math.random;
+
+    this.prefixOrigins = new Map(); // prefix -> last origin, oldest first
+    this.asnActivity = new Map();   // origin -> decayed update count
+    this.windowAsnCounts = new Map(); // origin -> updates this window
+
+    this.windowStart = null;
+    this.windowCounts = this.emptyCounts();
+    this.rates = this.emptyCounts();  // per category, events per second
+    this.keepProbability = Object.fromEntries(CATEGORIES.map(category => [category, 1]));
+
+    // Metrics
+    this.seen = this.emptyCounts();
+    this.kept = this.emptyCounts();
+  }
+
+  emptyCounts() {
+    return Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+  }
+
+  /**
+   * Write priority of a category, higher for more novel events
+   */
+  static priorityOf(category) {
+    return CATEGORIES.length - CATEGORIES.indexOf(category);
+  }
+
+  /**
+   * Decide whether to publish an event
+   * @param {boolean} pinned - always keep it (it still uses up budget)
+   * @returns {string|null} - the event's category when it is kept
+   */
+  sample(event, pinned = false) {
+    this.advanceWindow(this.clock());
+
+    const category = pinned ? 'pinned' : this.classify(event);
+    this.remember(event);
+
+    this.seen[category]++;
+    this.windowCounts[category]++;
+
+    if (!pinned && this.random() >= this.keepProbability[category]) return null;
+
+    this.kept[category]++;
+    return category;
+  }
+
+  classify(event) {
+    const origin = event.origin_asn;
+
+    if (typeof event.rpki === 'string' && event.rpki.startsWith('invalid')) return 'rpki_invalid';
+    if (event.communities && event.communities.some(community => community.blackhole)) return 'blackhole';
+
+    if (event.event === 'announce') {
+      const previousOrigin = this.prefixOrigins.get(event.prefix);
+      if (previousOrigin === undefined) return 'new_prefix';
+      if (previousOrigin !== origin) return 'origin_change';
+    }
+
+    if (origin) {
+      if ((this.asnActivity.get(origin) || 0) < this.rareBelow) return 'rare_asn';
+      if ((this.windowAsnCounts.get(origin) || 0) >= this.burstAbove) return 'burst';
+    }
+
+    return 'routine';
+  }
+
+  remember(event) {
+    const origin = event.origin_asn;
+
+    if (event.event === 'announce') {
+      // Re-insert so the map stays ordered by last use
+      this.prefixOrigins.delete(event.prefix);
+      this.prefixOrigins.set(event.prefix, origin);
+      if (this.prefixOrigins.size > this.maxPrefixes) {
+        this.prefixOrigins.delete(this.prefixOrigins.keys().next().value);
+      }
+    }
+
+    if (origin) {
+      this.asnActivity.set(origin, (this.asnActivity.get(origin) || 0) + 1);
+      this.windowAsnCounts.set(origin, (this.windowAsnCounts.get(origin) || 0) + 1);
+    }
+  }
+
+  /**
+   * Close the window once it has run its length: update the rates and keep probabilities
+   */
+  advanceWindow(now) {
+    if (this.windowStart === null) {
+      this.windowStart = now;
+      return;
+    }
+
+    const elapsed = now - this.windowStart;
+    if (elapsed < this.windowMs) return;
+
+    const seconds = elapsed / 1000;
+    for (const category of CATEGORIES) {
+      const rate = this.windowCounts[category] / seconds;
+      this.rates[category] = this.rates[category] === 0 ? rate : (this.rates[category] + rate) / 2;
+    }
+
+    let budget = this.targetRate;
+    for (const category of CATEGORIES) {
+      const rate = this.rates[category];
+      this.keepProbability[category] = category === 'pinned' || rate === 0 ? 1 : Math.min(1, Math.max(budget, 0) / rate);
+      budget -= rate;
+    }
+
+    const decay = 2 ** (-elapsed / this.asnHalfLifeMs);
+    for (const [asn, activity] of this.asnActivity) {
+      if (activity * decay < 0.1) {
+        this.asnActivity.delete(asn);
+      } else {
+        this.asnActivity.set(asn, activity * decay);
+      }
+    }
+
+    this.windowAsnCounts.clear();
+    this.windowCounts = this.emptyCounts();
+    this.windowStart = now;
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    const inputRate = CATEGORIES.reduce((sum, category) => sum + this.rates[category], 0);
+    const outputRate = CATEGORIES.reduce((sum, category) => sum + this.rates[category] * this.keepProbability[category], 0);
+
+    const dropped = {};
+    for (const category of CATEGORIES) {
+      dropped[category] = this.seen[category] > 0 ? 1 - this.kept[category] / this.seen[category] : 0;
+    }
+
+    return {
+      targetRate: this.targetRate,
+      inputRate,
+      outputRate,
+      seen: { ...this.seen },
+      kept: { ...this.kept },
+      dropped,
+      keepProbability: { ...this.keepProbability }
+    };
+  }
+}
+
+module.exports = ImportanceSampler;
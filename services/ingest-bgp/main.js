@@ -2,18 +2,28 @@ require('dotenv').config();
 
 const { createClient } = require('redis');
 const RipeClient = require('./ripe-client');
+const MrtReader = require('./mrt-reader');
+const ReplaySource = require('./replay-source');
+const RecordingReader = require('./recording-reader');
+const StatusServer = require('./status-server');
+const { validateEvent } = require('../shared/event-schema');
 
 // Environment configuration
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379/0';
 const STREAM = process.env.STREAM || 'bgp.raw';
 const MAXLEN = parseInt(process.env.STREAM_MAXLEN || '50000');
 const USE_MOCK_DATA = process.env.USE_MOCK_DATA === 'true';
+const DLQ_STREAM = process.env.DLQ_STREAM || `${STREAM}.dlq`;
+const MRT_FILES = (process.env.MRT_FILES || '').split(',').map(file => file.trim()).filter(Boolean);
+const REPLAY_FILES = (process.env.REPLAY_FILES || '').split(',').map(file => file.trim()).filter(Boolean);
+const REPLAY_SPEED = process.env.REPLAY_SPEED || 'realtime'; // 'realtime', 'max' or a multiplier
+const STATUS_PORT = parseInt(process.env.STATUS_PORT || '9100');
 
 async function main() {
   console.log('🚀 Starting BGP Ingest Service...');
   console.log(`📊 Stream: ${STREAM}`);
   console.log(`💾 Max events: ${MAXLEN}`);
-  console.log(`🔄 Mode: ${USE_MOCK_DATA ? 'MOCK' : 'REAL'} data`);
+  console.log(`🔄 Mode: ${sourceMode()} data`);
   
   // Connect to Redis with retry logic
   const redis = createClient({ url: REDIS_URL });
@@ -38,17 +48,32 @@ async function main() {
   if (USE_MOCK_DATA) {
     console.log('🎭 Starting mock data generator for testing...');
     await runMockGenerator(redis);
+  } else if (MRT_FILES.length > 0) {
+    console.log(`📼 Replaying ${MRT_FILES.length} MRT file(s) at ${REPLAY_SPEED} speed...`);
+    await runReplay(redis, MRT_FILES, file => new MrtReader(file), message => message.data.timestamp);
+  } else if (REPLAY_FILES.length > 0) {
+    console.log(`📼 Replaying ${REPLAY_FILES.length} RIS recording(s) at ${REPLAY_SPEED} speed...`);
+    await runReplay(redis, REPLAY_FILES, file => new RecordingReader(file), message => message.recorded_at);
   } else {
     console.log('🌐 Starting real RIPE RIS Live client...');
     await runRipeClient(redis);
   }
 }
 
+function sourceMode() {
+  if (USE_MOCK_DATA) return 'MOCK';
+  if (MRT_FILES.length > 0) return 'MRT';
+  if (REPLAY_FILES.length > 0) return 'REPLAY';
+  return 'REAL';
+}
+
 /**
  * Run the real RIPE RIS Live client
  */
 async function runRipeClient(redis) {
   const ripeClient = new RipeClient(redis, STREAM, MAXLEN);
+  const statusServer = new StatusServer(ripeClient, redis, { port: STATUS_PORT });
+  statusServer.start();
   
   // Start connection
   await ripeClient.connect();
@@ -56,14 +81,16 @@ async function runRipeClient(redis) {
   // Handle graceful shutdown
   process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down RIPE client...');
-    ripeClient.close();
+    statusServer.close();
+    await ripeClient.close();
     await redis.quit();
     process.exit(0);
   });
   
   process.on('SIGTERM', async () => {
     console.log('\n🛑 Shutting down RIPE client...');
-    ripeClient.close();
+    statusServer.close();
+    await ripeClient.close();
     await redis.quit();
     process.exit(0);
   });
@@ -72,6 +99,59 @@ async function runRipeClient(redis) {
   console.log('📡 RIPE client running... Press Ctrl+C to stop');
 }
 
+/**
+ * Replay MRT files or RIS recordings through the same pipeline as the live client
+ * @param {Array} files - files (or recording directories), replayed back to back as one timeline
+ * @param {Function} openReader - file => reader with messages() and getMetrics()
+ * @param {Function} timestampOf - message => epoch seconds the replay is paced by
+ */
+async function runReplay(redis, files, openReader, timestampOf) {
+  const ripeClient = new RipeClient(redis, STREAM, MAXLEN);
+  const replay = new ReplaySource({
+    speed: REPLAY_SPEED,
+    timestampOf,
+    onMessage: message => ripeClient.processMessage(message)
+  });
+  const statusServer = new StatusServer(ripeClient, redis, { port: STATUS_PORT, live: false });
+  statusServer.start();
+
+  // Throttling, flap decay and sampling windows follow the recorded timeline, so runs are repeatable at any speed
+  ripeClient.throttleManager.clock = () => replay.currentTime || Date.now();
+  ripeClient.flapDetector.clock = ripeClient.throttleManager.clock;
+  ripeClient.sampler.clock = ripeClient.throttleManager.clock;
+
+  process.on('SIGTERM', () => replay.stop());
+
+  async function* messages() {
+    for (const file of files) {
+      console.log(`📂 Reading ${file}`);
+      const reader = openReader(file);
+      yield* reader.messages();
+      console.log(`✅ ${file}:`, reader.getMetrics());
+    }
+  }
+
+  ripeClient.startMetricsLogging();
+  let failed = null;
+  try {
+    await replay.run(messages());
+  } catch (error) {
+    failed = error;
+  }
+
+  ripeClient.metricsManager.logMetrics(ripeClient.throttleManager);
+  statusServer.close();
+  await ripeClient.close();
+  await redis.quit();
+
+  // A failed replay must not leave a healthy-looking process without data behind
+  if (failed) {
+    console.error(`❌ Replay failed after ${replay.replayed} messages:`, failed);
+    process.exit(1);
+  }
+  console.log(`🏁 Replay finished, ${replay.replayed} messages`);
+}
+
 /**
  * Run the mock data generator (for testing/development)
  */
@@ -126,6 +206,7 @@ async function runMockGenerator(redis) {
       ts: ts,
       event: event,
       prefix: prefix,
+      family: 4,
       origin_asn: asPath[asPath.length - 1],
       peer_asn: asPath[0],
       as_path: asPath,
@@ -134,11 +215,21 @@ async function runMockGenerator(redis) {
       color: color
     };
 
+    const { valid, errors } = validateEvent(arc);
     try {
-      await redis.xAdd(STREAM, '*', { data: JSON.stringify(arc) }, {
-        MAXLEN: MAXLEN,
-        APPROXIMATE: true
-      });
+      if (valid) {
+        await redis.xAdd(STREAM, '*', { data: JSON.stringify(arc) }, {
+          MAXLEN: MAXLEN,
+          APPROXIMATE: true
+        });
+      } else {
+        await redis.xAdd(DLQ_STREAM, '*', {
+          data: JSON.stringify(arc),
+          reason: errors.join('; '),
+          source: 'ingest-mock',
+          failed_at: String(Date.now() / 1000)
+        });
+      }
     } catch (error) {
       console.error('Error adding to stream:', error);
     }
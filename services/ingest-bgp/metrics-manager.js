@@ -9,6 +9,9 @@ class MetricsManager {
     this.messagesReceived = 0;  // RIS messages
     this.eventsGenerated = 0;   // Individual prefix events
     this.eventsSent = 0;        // Events sent to Redis
+    this.eventsInvalid = 0;     // Events rejected by schema validation
+    this.alertsSent = 0;        // Hijack/MOAS/route leak alerts sent to Redis
+    this.processingErrors = 0;  // Messages and alerts the pipeline failed on
     this.subscriptionTime = Date.now(); // Initialize to now
     
     // Geolocation metrics
@@ -31,7 +34,7 @@ class MetricsManager {
   /**
    * Log comprehensive metrics
    */
-  logMetrics(throttleManager = null) {
+  logMetrics(throttleManager = null, hijackDetector = null, routeLeakDetector = null, rpkiValidator = null, ribState = null, flapDetector = null, sampler = null, writeQueue = null, communityDecoder = null, recorder = null) {
     const uptime = Math.floor((Date.now() - this.subscriptionTime) / 1000);
     
     // Calculate GeoLite2 success rate
@@ -40,6 +43,16 @@ class MetricsManager {
     
     // Get throttling metrics if available
     const throttleMetrics = throttleManager ? throttleManager.getMetrics() : {};
+    const hijackMetrics = hijackDetector ? hijackDetector.getMetrics() : {};
+    const leakMetrics = routeLeakDetector ? routeLeakDetector.getMetrics() : {};
+    const rpkiMetrics = rpkiValidator ? rpkiValidator.getMetrics() : {};
+    const ribMetrics = ribState ? ribState.getMetrics() : {};
+    const flapMetrics = flapDetector ? flapDetector.getMetrics() : {};
+    const topFlappers = flapDetector ? flapDetector.top(5) : [];
+    const samplerMetrics = sampler ? sampler.getMetrics() : null;
+    const queueMetrics = writeQueue ? writeQueue.getMetrics() : null;
+    const communityMetrics = communityDecoder ? communityDecoder.getMetrics() : {};
+    const recorderMetrics = recorder ? recorder.getMetrics() : null;
     
     const metrics = {
       // Input metrics
@@ -49,8 +62,19 @@ class MetricsManager {
       
       // Filtering metrics  
       events_sent: this.eventsSent,
+      events_invalid: this.eventsInvalid,
+      processing_errors: this.processingErrors,
       events_throttled: throttleMetrics.throttled || 0,
       
+      // Importance sampling metrics: share of each category dropped so far
+      ...(samplerMetrics && {
+        sampler_target_rate: samplerMetrics.targetRate,
+        sampler_input_rate: Number(samplerMetrics.inputRate.toFixed(1)),
+        sampler_output_rate: Number(samplerMetrics.outputRate.toFixed(1)),
+        sampler_dropped: Object.fromEntries(Object.entries(samplerMetrics.dropped)
+          .map(([category, fraction]) => [category, `${(fraction * 100).toFixed(1)}%`]))
+      }),
+      
       // Tier 1 filtering metrics
       ...(throttleMetrics.tier1FilterEnabled && {
         tier1_filter: '🎯 ENABLED',
@@ -58,6 +82,59 @@ class MetricsManager {
         tier1_filtered: throttleMetrics.tier1Filtered || 0
       }),
       
+      // Anomaly detection metrics
+      alerts_sent: this.alertsSent,
+      moas_alerts: hijackMetrics.moasAlerts || 0,
+      subprefix_alerts: hijackMetrics.subprefixAlerts || 0,
+      tracked_prefixes: hijackMetrics.trackedPrefixes || 0,
+      route_leak_alerts: leakMetrics.leakAlerts || 0,
+      leak_paths_checked: leakMetrics.pathsChecked || 0,
+      
+      // Flap damping metrics
+      flapping_prefixes: flapMetrics.flappingPrefixes || 0,
+      flap_starts: flapMetrics.flapStarts || 0,
+      flap_stops: flapMetrics.flapStops || 0,
+      top_flappers: topFlappers.map(entry => `${entry.prefix} (${entry.penalty}${entry.flapping ? ', flapping' : ''})`),
+      
+      // Community decoding metrics (blackholes counts RTBH communities seen, before sampling)
+      communities_decoded: communityMetrics.decoded || 0,
+      communities_named: communityMetrics.named || 0,
+      blackhole_communities: communityMetrics.blackholes || 0,
+      
+      // RPKI origin validation metrics
+      ...(rpkiMetrics.vrpCount > 0 && {
+        rpki_vrps: rpkiMetrics.vrpCount,
+        rpki_valid: rpkiMetrics.valid,
+        rpki_invalid_asn: rpkiMetrics['invalid-asn'],
+        rpki_invalid_length: rpkiMetrics['invalid-length'],
+        rpki_not_found: rpkiMetrics['not-found']
+      }),
+      
+      // Redis write queue metrics
+      ...(queueMetrics && {
+        write_queue_depth: queueMetrics.depth,
+        write_queue_max_depth: queueMetrics.maxDepthSeen,
+        write_queue_dropped: queueMetrics.dropped,
+        write_queue_dropped_by_kind: Object.fromEntries(Object.entries(queueMetrics.byKind)
+          .map(([kind, counts]) => [kind, counts.dropped])),
+        write_failures: queueMetrics.failures,
+        ...(queueMetrics.blocked && { write_queue_blocked: '⏸️ RIS paused' })
+      }),
+      
+      // Routing state metrics
+      rib_announces_stored: ribMetrics.announcesStored || 0,
+      rib_withdrawals_enriched: ribMetrics.withdrawalsEnriched || 0,
+      rib_withdrawals_unknown: ribMetrics.withdrawalsUnknown || 0,
+      rib_dropped: ribMetrics.dropped || 0,
+      rib_errors: ribMetrics.errors || 0,
+
+      // Session recording metrics (dropped: lines skipped while the disk fell behind)
+      ...(recorderMetrics && {
+        recorded_messages: recorderMetrics.recorded,
+        recording_dropped: recorderMetrics.dropped,
+        recording_write_errors: recorderMetrics.writeErrors
+      }),
+      
       // Geolocation metrics
       geolite2_success_rate: geoSuccessRate,
       geo_lookups: this.geoLookups,
@@ -104,6 +181,27 @@ class MetricsManager {
     this.eventsSent += count;
   }
 
+  /**
+   * Add to invalid (dead-lettered) events count
+   */
+  addEventsInvalid(count) {
+    this.eventsInvalid += count;
+  }
+
+  /**
+   * Add to the pipeline error count
+   */
+  addProcessingErrors(count) {
+    this.processingErrors += count;
+  }
+
+  /**
+   * Add to alerts sent count
+   */
+  addAlertsSent(count) {
+    this.alertsSent += count;
+  }
+
   /**
    * Set subscription start time
    */
@@ -120,6 +218,9 @@ class MetricsManager {
       messagesReceived: this.messagesReceived,
       eventsGenerated: this.eventsGenerated,
       eventsSent: this.eventsSent,
+      eventsInvalid: this.eventsInvalid,
+      alertsSent: this.alertsSent,
+      processingErrors: this.processingErrors,
       geoLookups: this.geoLookups,
       geoLite2Hits: this.geoLite2Hits,
       geoFallbacks: this.geoFallbacks,
@@ -0,0 +1,534 @@
+/**
+ * MRT Reader
+ * Streams MRT files (RFC 6396) and converts them to RIS Live ris_message data
+ *
+ * Supported records:
+ *   TABLE_DUMP_V2  PEER_INDEX_TABLE, RIB_IPV4_UNICAST, RIB_IPV6_UNICAST (+ ADDPATH variants)
+ *   BGP4MP(_ET)    MESSAGE, MESSAGE_AS4, *_LOCAL and *_ADDPATH variants carrying UPDATEs
+ * Everything else (state changes, TABLE_DUMP v1, multicast RIBs) is skipped.
+ * Files ending in .gz are gunzipped, .bz2 files go through bzcat.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { spawn } = require('child_process');
+
+const HEADER_LENGTH = 12;
+
+const TABLE_DUMP_V2 = 13;
+const BGP4MP = 16;
+const BGP4MP_ET = 17;
+
+const PEER_INDEX_TABLE = 1;
+const RIB_SUBTYPES = {
+  2: { afi: 1, addPath: false },  // RIB_IPV4_UNICAST
+  4: { afi: 2, addPath: false },  // RIB_IPV6_UNICAST
+  8: { afi: 1, addPath: true },   // RIB_IPV4_UNICAST_ADDPATH
+  10: { afi: 2, addPath: true }   // RIB_IPV6_UNICAST_ADDPATH
+};
+const BGP4MP_SUBTYPES = {
+  1: { asSize: 2, addPath: false },  // MESSAGE
+  4: { asSize: 4, addPath: false },  // MESSAGE_AS4
+  6: { asSize: 2, addPath: false },  // MESSAGE_LOCAL
+  7: { asSize: 4, addPath: false },  // MESSAGE_AS4_LOCAL
+  8: { asSize: 2, addPath: true },   // MESSAGE_ADDPATH
+  9: { asSize: 4, addPath: true },   // MESSAGE_AS4_ADDPATH
+  10: { asSize: 2, addPath: true },  // MESSAGE_LOCAL_ADDPATH
+  11: { asSize: 4, addPath: true }   // MESSAGE_AS4_LOCAL_ADDPATH
+};
+
+const BGP_UPDATE = 2;
+const ORIGINS = ['IGP', 'EGP', 'INCOMPLETE'];
+
+// Path attribute type codes
+const ATTR_ORIGIN = 1;
+const ATTR_AS_PATH = 2;
+const ATTR_NEXT_HOP = 3;
+const ATTR_COMMUNITIES = 8;
+const ATTR_MP_REACH = 14;
+const ATTR_MP_UNREACH = 15;
+const ATTR_EXTENDED_COMMUNITIES = 16;
+const ATTR_AS4_PATH = 17;
+const ATTR_LARGE_COMMUNITIES = 32;
+
+class MrtReader {
+  /**
+   * @param {string} file - path to the MRT file
+   * @param {object} options - { host } collector name for the messages, guessed from the path
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.host = options.host || guessHost(file);
+    this.peers = [];   // PEER_INDEX_TABLE entries for RIB records
+
+    // Metrics
+    this.recordCount = 0;
+    this.skipped = 0;
+    this.errors = 0;
+  }
+
+  /**
+   * Iterate over RIS-shaped messages ({ type: 'ris_message', data })
+   */
+  async *messages() {
+    for await (const { header, body } of this.readRecords()) {
+      let data;
+      try {
+        data = this.parseRecord(header, body);
+      } catch (err) {
+        this.errors++;
+        continue;
+      }
+
+      for (const item of data) {
+        yield { type: 'ris_message', data: item };
+      }
+    }
+  }
+
+  /**
+   * Split the decompressed byte stream into MRT records
+   */
+  async *readRecords() {
+    const { stream, done } = this.open();
+    // Awaited after the last chunk; a stream that fails first has already thrown the same error
+    done.catch(() => {});
+    let pending = Buffer.alloc(0);
+
+    try {
+      for await (const chunk of stream) {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+        let offset = 0;
+        while (pending.length - offset >= HEADER_LENGTH) {
+          const length = pending.readUInt32BE(offset + 8);
+          if (pending.length - offset < HEADER_LENGTH + length) break;
+
+          const header = {
+            timestamp: pending.readUInt32BE(offset),
+            type: pending.readUInt16BE(offset + 4),
+            subtype: pending.readUInt16BE(offset + 6)
+          };
+          const body = pending.subarray(offset + HEADER_LENGTH, offset + HEADER_LENGTH + length);
+          offset += HEADER_LENGTH + length;
+
+          this.recordCount++;
+          yield { header, body };
+        }
+
+        pending = pending.subarray(offset);
+      }
+
+      await done;
+    } finally {
+      stream.destroy();
+    }
+
+    if (pending.length > 0) {
+      console.warn(`⚠️ ${this.file}: ${pending.length} trailing bytes (truncated record)`);
+    }
+  }
+
+  /**
+   * Open the file with the right decompressor
+   * @returns {object} - { stream, done } where done rejects if decompression failed
+   */
+  open() {
+    if (this.file.endsWith('.bz2')) {
+      const child = spawn('bzcat', [this.file], { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+
+      const done = new Promise((resolve, reject) => {
+        child.on('error', err => {
+          // bzcat missing or not runnable: fail the read now, not once the empty stream ends
+          child.stdout.destroy(err);
+          reject(err);
+        });
+        child.on('close', code => {
+          if (code === 0 || code === null) resolve();
+          else reject(new Error(`bzcat exited with ${code}: ${stderr.trim()}`));
+        });
+      });
+      child.stdout.on('close', () => child.kill());
+
+      return { stream: child.stdout, done };
+    }
+
+    const input = fs.createReadStream(this.file);
+    if (!this.file.endsWith('.gz')) {
+      return { stream: input, done: Promise.resolve() };
+    }
+
+    const gunzip = zlib.createGunzip();
+    pipeline(input, gunzip, () => {});
+    return { stream: gunzip, done: Promise.resolve() };
+  }
+
+  parseRecord(header, body) {
+    if (header.type === TABLE_DUMP_V2) {
+      if (header.subtype === PEER_INDEX_TABLE) {
+        this.peers = parsePeerIndex(body);
+        return [];
+      }
+
+      const rib = RIB_SUBTYPES[header.subtype];
+      if (rib) return this.parseRib(header, body, rib);
+    }
+
+    if (header.type === BGP4MP || header.type === BGP4MP_ET) {
+      const subtype = BGP4MP_SUBTYPES[header.subtype];
+      if (subtype) return this.parseBgp4mp(header, body, subtype);
+    }
+
+    this.skipped++;
+    return [];
+  }
+
+  /**
+   * RIB entry: one prefix as seen by every peer, one message per peer
+   */
+  parseRib(header, body, { afi, addPath }) {
+    let offset = 4; // sequence number
+    const [prefix, next] = readPrefix(body, offset, afi);
+    offset = next;
+
+    const entryCount = body.readUInt16BE(offset);
+    offset += 2;
+
+    const messages = [];
+    for (let i = 0; i < entryCount; i++) {
+      const peer = this.peers[body.readUInt16BE(offset)];
+      offset += 2 + 4; // peer index, originated time
+      if (addPath) offset += 4;
+
+      const attributeLength = body.readUInt16BE(offset);
+      offset += 2;
+      const attributes = parseAttributes(body, offset, offset + attributeLength, {
+        asSize: 4,
+        addPath,
+        rib: true
+      });
+      offset += attributeLength;
+
+      if (!peer) continue;
+
+      const nextHop = attributes.mpNextHop || attributes.nextHop || null;
+      messages.push(this.risMessage(header.timestamp, peer.address, peer.asn, attributes, {
+        announcements: [{ next_hop: nextHop, prefixes: [prefix] }],
+        withdrawals: []
+      }));
+    }
+
+    return messages;
+  }
+
+  /**
+   * BGP4MP message: an UPDATE as received from one peer
+   */
+  parseBgp4mp(header, body, { asSize, addPath }) {
+    let offset = 0;
+    let timestamp = header.timestamp;
+
+    if (header.type === BGP4MP_ET) {
+      timestamp += body.readUInt32BE(0) / 1e6;
+      offset += 4;
+    }
+
+    const peerAsn = asSize === 4 ? body.readUInt32BE(offset) : body.readUInt16BE(offset);
+    offset += asSize * 2 + 2; // peer AS, local AS, interface index
+
+    const afi = body.readUInt16BE(offset);
+    offset += 2;
+    const addressLength = afi === 2 ? 16 : 4;
+    const peerAddress = formatAddress(body.subarray(offset, offset + addressLength), afi);
+    offset += addressLength * 2; // peer and local address
+
+    // BGP message: 16 byte marker, length, type
+    if (body.length < offset + 19 || body[offset + 18] !== BGP_UPDATE) {
+      this.skipped++;
+      return [];
+    }
+    offset += 19;
+
+    const withdrawnLength = body.readUInt16BE(offset);
+    offset += 2;
+    const withdrawals = readPrefixes(body, offset, offset + withdrawnLength, 1, addPath);
+    offset += withdrawnLength;
+
+    const attributeLength = body.readUInt16BE(offset);
+    offset += 2;
+    const attributes = parseAttributes(body, offset, offset + attributeLength, { asSize, addPath, rib: false });
+    offset += attributeLength;
+
+    const announcements = [];
+    const nlri = readPrefixes(body, offset, body.length, 1, addPath);
+    if (nlri.length > 0) {
+      announcements.push({ next_hop: attributes.nextHop, prefixes: nlri });
+    }
+    if (attributes.mpReach.length > 0) {
+      announcements.push({ next_hop: attributes.mpNextHop, prefixes: attributes.mpReach });
+    }
+    withdrawals.push(...attributes.mpUnreach);
+
+    if (announcements.length === 0 && withdrawals.length === 0) return [];
+
+    return [this.risMessage(timestamp, peerAddress, peerAsn, attributes, { announcements, withdrawals })];
+  }
+
+  risMessage(timestamp, peerAddress, peerAsn, attributes, { announcements, withdrawals }) {
+    const data = {
+      timestamp,
+      peer: peerAddress,
+      peer_asn: String(peerAsn), // RIS Live sends it as a string
+      host: this.host,
+      type: 'UPDATE'
+    };
+
+    if (announcements.length > 0) {
+      data.path = attributes.path;
+      data.community = attributes.communities;
+      // Not in RIS Live messages, but worth decoding when the file has them
+      if (attributes.extendedCommunities.length > 0) data.extended_community = attributes.extendedCommunities;
+      if (attributes.largeCommunities.length > 0) data.large_community = attributes.largeCommunities;
+      if (attributes.origin) data.origin = attributes.origin;
+      data.announcements = announcements;
+    }
+    data.withdrawals = withdrawals;
+
+    return data;
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      records: this.recordCount,
+      skipped: this.skipped,
+      errors: this.errors
+    };
+  }
+}
+
+/**
+ * RIS file paths look like .../rrc00/2024.01/updates.20240101.0000.gz
+ */
+function guessHost(file) {
+  const match = file.match(/rrc\d{2}/i);
+  return match ? match[0].toLowerCase() : 'mrt';
+}
+
+function parsePeerIndex(body) {
+  let offset = 4; // collector BGP ID
+  const viewNameLength = body.readUInt16BE(offset);
+  offset += 2 + viewNameLength;
+
+  const count = body.readUInt16BE(offset);
+  offset += 2;
+
+  const peers = [];
+  for (let i = 0; i < count; i++) {
+    const peerType = body[offset];
+    offset += 1 + 4; // type, BGP ID
+
+    const afi = peerType & 0x01 ? 2 : 1;
+    const addressLength = afi === 2 ? 16 : 4;
+    const address = formatAddress(body.subarray(offset, offset + addressLength), afi);
+    offset += addressLength;
+
+    const asn = peerType & 0x02 ? body.readUInt32BE(offset) : body.readUInt16BE(offset);
+    offset += peerType & 0x02 ? 4 : 2;
+
+    peers.push({ address, asn });
+  }
+
+  return peers;
+}
+
+/**
+ * Parse the path attributes we map onto RIS fields
+ */
+function parseAttributes(body, start, end, { asSize, addPath, rib }) {
+  const attributes = {
+    origin: null,
+    path: [],
+    communities: [],
+    extendedCommunities: [],  // 8-byte values as hex
+    largeCommunities: [],
+    nextHop: null,
+    mpNextHop: null,
+    mpReach: [],
+    mpUnreach: []
+  };
+  let as4Path = null;
+
+  let offset = start;
+  while (offset < end) {
+    const flags = body[offset];
+    const type = body[offset + 1];
+    const extended = flags & 0x10;
+    const length = extended ? body.readUInt16BE(offset + 2) : body[offset + 2];
+    offset += extended ? 4 : 3;
+    const valueEnd = offset + length;
+
+    switch (type) {
+      case ATTR_ORIGIN:
+        attributes.origin = ORIGINS[body[offset]] || null;
+        break;
+      case ATTR_AS_PATH:
+        attributes.path = readAsPath(body, offset, valueEnd, asSize);
+        break;
+      case ATTR_AS4_PATH:
+        as4Path = readAsPath(body, offset, valueEnd, 4);
+        break;
+      case ATTR_NEXT_HOP:
+        attributes.nextHop = formatAddress(body.subarray(offset, valueEnd), 1);
+        break;
+      case ATTR_COMMUNITIES:
+        for (let i = offset; i + 4 <= valueEnd; i += 4) {
+          attributes.communities.push([body.readUInt16BE(i), body.readUInt16BE(i + 2)]);
+        }
+        break;
+      case ATTR_EXTENDED_COMMUNITIES:
+        for (let i = offset; i + 8 <= valueEnd; i += 8) {
+          attributes.extendedCommunities.push(body.toString('hex', i, i + 8));
+        }
+        break;
+      case ATTR_LARGE_COMMUNITIES:
+        for (let i = offset; i + 12 <= valueEnd; i += 12) {
+          attributes.largeCommunities.push([body.readUInt32BE(i), body.readUInt32BE(i + 4), body.readUInt32BE(i + 8)]);
+        }
+        break;
+      case ATTR_MP_REACH:
+        readMpReach(body, offset, valueEnd, attributes, { addPath, rib });
+        break;
+      case ATTR_MP_UNREACH: {
+        const afi = body.readUInt16BE(offset);
+        attributes.mpUnreach = readPrefixes(body, offset + 3, valueEnd, afi, addPath);
+        break;
+      }
+      default:
+        break;
+    }
+
+    offset = valueEnd;
+  }
+
+  // 2-byte sessions carry the real 4-byte ASNs in AS4_PATH (RFC 6793)
+  if (as4Path && asSize === 2 && attributes.path.length >= as4Path.length) {
+    attributes.path = [...attributes.path.slice(0, attributes.path.length - as4Path.length), ...as4Path];
+  }
+
+  return attributes;
+}
+
+function readMpReach(body, start, end, attributes, { addPath, rib }) {
+  // TABLE_DUMP_V2 usually stores only next hop length + next hop
+  if (rib && body[start] === end - start - 1) {
+    attributes.mpNextHop = formatNextHop(body.subarray(start + 1, end));
+    return;
+  }
+
+  const afi = body.readUInt16BE(start);
+  const nextHopLength = body[start + 3];
+  let offset = start + 4;
+  attributes.mpNextHop = formatNextHop(body.subarray(offset, offset + nextHopLength));
+  offset += nextHopLength + 1; // next hop, reserved
+
+  attributes.mpReach = readPrefixes(body, offset, end, afi, addPath);
+}
+
+/**
+ * AS_PATH segments, AS_SETs become nested arrays like RIS Live sends them
+ */
+function readAsPath(body, start, end, asSize) {
+  const path = [];
+  let offset = start;
+
+  while (offset + 2 <= end) {
+    const segmentType = body[offset];
+    const count = body[offset + 1];
+    offset += 2;
+
+    const asns = [];
+    for (let i = 0; i < count; i++) {
+      asns.push(asSize === 4 ? body.readUInt32BE(offset) : body.readUInt16BE(offset));
+      offset += asSize;
+    }
+
+    if (segmentType === 1) {
+      path.push(asns);        // AS_SET
+    } else if (segmentType === 2) {
+      path.push(...asns);     // AS_SEQUENCE
+    }
+    // Confederation segments never leave the confederation, skip them
+  }
+
+  return path;
+}
+
+function readPrefixes(body, start, end, afi, addPath) {
+  const prefixes = [];
+  let offset = start;
+
+  while (offset < end) {
+    if (addPath) offset += 4;
+    const [prefix, next] = readPrefix(body, offset, afi);
+    prefixes.push(prefix);
+    offset = next;
+  }
+
+  return prefixes;
+}
+
+function readPrefix(body, offset, afi) {
+  const length = body[offset];
+  const byteCount = Math.ceil(length / 8);
+  const bytes = Buffer.alloc(afi === 2 ? 16 : 4);
+  body.copy(bytes, 0, offset + 1, offset + 1 + byteCount);
+
+  return [`${formatAddress(bytes, afi)}/${length}`, offset + 1 + byteCount];
+}
+
+/**
+ * IPv6 next hops may carry a link-local address after the global one
+ */
+function formatNextHop(bytes) {
+  if (bytes.length === 4) return formatAddress(bytes, 1);
+  return formatAddress(bytes.subarray(0, 16), 2);
+}
+
+function formatAddress(bytes, afi) {
+  if (afi !== 2) {
+    return Array.from(bytes.subarray(0, 4)).join('.');
+  }
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(bytes.readUInt16BE(i).toString(16));
+  }
+
+  // Collapse the longest run of zero groups (RFC 5952)
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== '0') continue;
+    let j = i;
+    while (j < 8 && groups[j] === '0') j++;
+    if (j - i > bestLength && j - i > 1) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  if (bestStart === -1) return groups.join(':');
+
+  const head = groups.slice(0, bestStart).join(':');
+  const tail = groups.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+module.exports = MrtReader;
@@ -0,0 +1,76 @@
+/**
+ * Recording Reader
+ * Reads NDJSON recordings written by SessionRecorder back as ris_messages
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const SessionRecorder = require('./session-recorder');
+
+class RecordingReader {
+  /**
+   * @param {string} source - a recording file or a directory of recordings
+   */
+  constructor(source) {
+    this.source = source;
+
+    // Metrics
+    this.lines = 0;
+    this.errors = 0;
+  }
+
+  /**
+   * Recording files to read, oldest first
+   */
+  files() {
+    if (fs.statSync(this.source).isDirectory()) {
+      return SessionRecorder.listRecordings(this.source);
+    }
+    return [this.source];
+  }
+
+  /**
+   * Iterate over { type: 'ris_message', data, recorded_at } in recording order
+   */
+  async *messages() {
+    for (const file of this.files()) {
+      let input = fs.createReadStream(file);
+      if (file.endsWith('.gz')) {
+        const gunzip = zlib.createGunzip();
+        pipeline(input, gunzip, () => {});
+        input = gunzip;
+      }
+
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        this.lines++;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          this.errors++;
+          continue;
+        }
+        if (!entry.message || entry.message.type !== 'ris_message') continue;
+
+        yield { ...entry.message, recorded_at: entry.recorded_at };
+      }
+    }
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      lines: this.lines,
+      errors: this.errors
+    };
+  }
+}
+
+module.exports = RecordingReader;
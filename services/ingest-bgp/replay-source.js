@@ -0,0 +1,83 @@
+/**
+ * Replay Source
+ * Paces recorded ris_message data by its own timestamps and hands it to a handler
+ */
+
+class ReplaySource {
+  /**
+   * @param {object} options - { speed, onMessage, timestampOf }
+   *   speed: 'realtime' (1), a multiplier such as 10, or 'max' for no pacing
+   *   onMessage: async (message) => ..., awaited so a slow pipeline slows the replay
+   *   timestampOf: message => epoch seconds to pace by, defaults to the RIS timestamp
+   */
+  constructor(options = {}) {
+    this.speed = ReplaySource.parseSpeed(options.speed);
+    this.onMessage = options.onMessage;
+    this.timestampOf = options.timestampOf || (message => message.data && message.data.timestamp);
+    this.stopped = false;
+
+    // Recorded time of the message being replayed, ms (a clock for time-based logic)
+    this.currentTime = null;
+
+    // Metrics
+    this.replayed = 0;
+  }
+
+  /**
+   * REPLAY_SPEED: 'realtime', 'max' or a positive multiplier
+   */
+  static parseSpeed(value) {
+    if (value === undefined || value === null || value === '' || value === 'realtime') return 1;
+    if (value === 'max') return Infinity;
+
+    const speed = Number(value);
+    if (!Number.isFinite(speed) || speed <= 0) {
+      throw new Error(`invalid replay speed: ${value} (use realtime, max or a multiplier)`);
+    }
+    return speed;
+  }
+
+  /**
+   * Replay an (async) iterable of { type: 'ris_message', data } messages
+   */
+  async run(messages) {
+    let firstTs = null;
+    let startedAt = null;
+
+    for await (const message of messages) {
+      if (this.stopped) break;
+
+      const ts = this.timestampOf(message);
+      if (typeof ts === 'number') {
+        this.currentTime = ts * 1000;
+      }
+
+      if (this.speed !== Infinity && typeof ts === 'number') {
+        if (firstTs === null) {
+          firstTs = ts;
+          startedAt = Date.now();
+        }
+
+        const dueAt = startedAt + ((ts - firstTs) * 1000) / this.speed;
+        const wait = dueAt - Date.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+      }
+
+      await this.onMessage(message);
+      this.replayed++;
+
+      // Let timers and I/O run between messages when nothing is waiting
+      if (this.speed === Infinity && this.replayed % 1000 === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+}
+
+module.exports = ReplaySource;
@@ -0,0 +1,148 @@
+/**
+ * RIB State
+ * Per-prefix routing state kept in Redis: which peers currently see a prefix,
+ * and the origin and path each of them last announced
+ *
+ * One hash per prefix, one field per peer session (`<rrc>|<peer_asn>`):
+ *   bgp.rib:203.0.113.0/24  rrc00|3356 -> {"origin":64500,"path":[3356,64500],"ts":1755547893}
+ * Withdrawals are enriched from the state before the peer is removed from it.
+ * Keys expire after `ttlSeconds` without updates, so prefixes that went quiet
+ * (or whose withdrawals were missed) do not pile up.
+ *
+ * Commands go through the shared WriteQueue, so a stalled Redis fills that bounded
+ * queue instead of node-redis' unbounded one. Updates the queue drops are lost
+ * (the TTL cleans up after them), withdrawals it drops go out unenriched.
+ */
+
+class RibState {
+  /**
+   * @param {object} writeQueue - WriteQueue the commands are sent through
+   * @param {object} options - { keyPrefix, ttlSeconds, priority }
+   */
+  constructor(writeQueue, options = {}) {
+    this.queue = writeQueue;
+    this.keyPrefix = options.keyPrefix || 'bgp.rib:';
+    this.ttlSeconds = options.ttlSeconds || 48 * 60 * 60;
+    this.priority = options.priority || 0;
+
+    // Metrics
+    this.announcesStored = 0;
+    this.withdrawalsEnriched = 0;
+    this.withdrawalsUnknown = 0;
+    this.dropped = 0;
+    this.errors = 0;
+  }
+
+  key(prefix) {
+    return `${this.keyPrefix}${prefix}`;
+  }
+
+  static peerKey(event) {
+    return `${event.rrc || 'unknown'}|${event.peer_asn}`;
+  }
+
+  /**
+   * Apply a message's events to the state, in order. Commands are queued
+   * synchronously so they reach Redis in arrival order.
+   * @returns {Promise} - resolves once withdrawals carry origin_asn, as_path and visible_peers
+   */
+  apply(events) {
+    const pending = [];
+
+    for (const event of events) {
+      if (event.event === 'announce') {
+        this.storeAnnounce(event);
+      } else if (event.event === 'withdraw') {
+        pending.push(this.enrichWithdraw(event));
+      }
+    }
+
+    return Promise.all(pending);
+  }
+
+  storeAnnounce(event) {
+    const key = this.key(event.prefix);
+    const entry = JSON.stringify({ origin: event.origin_asn, path: event.as_path, ts: event.ts });
+
+    this.send([
+      ['hSet', key, RibState.peerKey(event), entry],
+      ['expire', key, this.ttlSeconds]
+    ]).then(replies => {
+      if (replies) this.announcesStored++;
+    });
+  }
+
+  /**
+   * Queue commands as one item
+   * @returns {Promise} - their replies, null when the queue dropped them
+   */
+  send(commands) {
+    return new Promise(resolve => {
+      this.queue.push({ kind: 'rib', priority: this.priority, commands, done: resolve });
+    }).then(replies => {
+      if (!replies) this.dropped++;
+      return replies;
+    });
+  }
+
+  /**
+   * Fill in the route being withdrawn from the peer's last announcement, or from
+   * another peer that still sees the prefix when this peer's announcement was missed
+   */
+  async enrichWithdraw(event) {
+    const key = this.key(event.prefix);
+
+    try {
+      const replies = await this.send([
+        ['hGet', key, RibState.peerKey(event)],
+        ['hDel', key, RibState.peerKey(event)],
+        ['hLen', key]
+      ]);
+      if (!replies) return;
+
+      const [previous, , remaining] = replies;
+      event.visible_peers = Number(remaining);
+
+      let entry = previous;
+      if (!entry && event.visible_peers > 0) {
+        const others = await this.send([['hVals', key]]);
+        entry = others && others[0][0];
+      }
+
+      if (!entry) {
+        this.withdrawalsUnknown++;
+        return;
+      }
+
+      const { origin, path } = JSON.parse(entry);
+      event.origin_asn = origin;
+      event.as_path = path;
+      event.path_length = path.length;
+      this.withdrawalsEnriched++;
+    } catch (err) {
+      this.recordError(err);
+    }
+  }
+
+  recordError(err) {
+    this.errors++;
+    if (this.errors === 1 || this.errors % 1000 === 0) {
+      console.error(`❌ RIB state update failed (${this.errors} total):`, err.message);
+    }
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      announcesStored: this.announcesStored,
+      withdrawalsEnriched: this.withdrawalsEnriched,
+      withdrawalsUnknown: this.withdrawalsUnknown,
+      dropped: this.dropped,
+      errors: this.errors
+    };
+  }
+}
+
+module.exports = RibState;
@@ -1,42 +1,97 @@
 const WebSocket = require('ws');
-const { initializeGeoLite2 } = require('./ans-geo');
+const path = require('path');
+const { initializeGeoLite2, initializeASNModel, learnASNLocation } = require('./ans-geo');
 const BgpProcessor = require('./bgp-processor');
 const ThrottleManager = require('./throttle-manager');
 const MetricsManager = require('./metrics-manager');
+const HijackDetector = require('./hijack-detector');
+const RouteLeakDetector = require('./route-leak-detector');
+const RpkiValidator = require('./rpki-validator');
+const CommunityDecoder = require('./community-decoder');
+const SessionRecorder = require('./session-recorder');
+const RibState = require('./rib-state');
+const FlapDetector = require('./flap-detector');
+const SubscriptionConfig = require('./subscription-config');
+const ImportanceSampler = require('./importance-sampler');
+const WriteQueue = require('./write-queue');
+const { validateEvent } = require('../shared/event-schema');
 
 const RIPE_WEBSOCKET_URL = 'wss://ris-live.ripe.net/v1/ws/';
 
-// Filter configuration - only process events from these important ASNs
-const IMPORTANT_ASNS = new Set([
-  15169, // Google
-  16509, 14618, // Amazon
-  13335, // Cloudflare
-  8075, // Microsoft
-  32934, // Meta/Facebook
-  3356, // Level3
-  174, // Cogent
-  6939, // Hurricane Electric
-  2914, // NTT
-  3320, // Deutsche Telekom
-  3215, // Orange
-  2856, // BT
-  4134, 4837, // China Telecom/Unicom
-  9498, 9829, 55836, // Indian ISPs
-]);
+// Write priorities next to the sampler's 1 (routine) .. 8 (pinned)
+const ALERT_PRIORITY = 10;
+const RIB_PRIORITY = 9;
+const DEAD_LETTER_PRIORITY = 0;
 
 class RipeClient {
   constructor(redisClient, streamName, maxLen) {
     this.redis = redisClient;
     this.streamName = streamName;
     this.maxLen = maxLen;
+    this.dlqStream = process.env.DLQ_STREAM || `${streamName}.dlq`;
+    this.alertStream = process.env.ALERT_STREAM || 'bgp.alerts';
+    this.flapTopKey = process.env.FLAP_TOP_KEY || 'bgp.flaps.top';
     this.ws = null;
     this.reconnectInterval = 5000;
     this.isConnecting = false;
+
+    // Connection state for the health checks
+    this.connectAttempts = 0;
+    this.reconnects = 0;
+    this.connectedAt = null;
+    this.disconnectedAt = null;
+    this.lastMessageAt = null;
     
     // Initialize modules
-    this.bgpProcessor = new BgpProcessor();
+    this.rpkiValidator = new RpkiValidator({ file: process.env.VRP_FILE });
+    this.communityDecoder = new CommunityDecoder({ file: process.env.COMMUNITIES_FILE });
+    this.bgpProcessor = new BgpProcessor({ rpkiValidator: this.rpkiValidator, communityDecoder: this.communityDecoder });
     this.throttleManager = new ThrottleManager(500); // 500ms throttle window for better duplicate detection
+    this.sampler = new ImportanceSampler({ targetRate: parseFloat(process.env.SAMPLER_TARGET_RATE || '30') });
     this.metricsManager = new MetricsManager();
+
+    // Bounded, batched Redis writes; a slow Redis fills the queue instead of the heap
+    this.writeQueue = new WriteQueue(redisClient, {
+      maxSize: parseInt(process.env.WRITE_QUEUE_MAX || '10000'),
+      batchSize: parseInt(process.env.WRITE_BATCH_SIZE || '500'),
+      flushIntervalMs: parseInt(process.env.WRITE_FLUSH_MS || '50'),
+      overflow: process.env.WRITE_OVERFLOW_POLICY || 'drop-oldest',
+      mode: process.env.WRITE_MODE || 'pipeline',
+      onFlushed: items => this.countWritten(items),
+      onBlock: () => this.pauseSource(),
+      onUnblock: () => this.resumeSource()
+    });
+    this.asnModel = null; // set once geolocation is initialized
+    this.hijackDetector = new HijackDetector();
+    this.flapDetector = new FlapDetector({
+      halfLifeMs: parseFloat(process.env.FLAP_HALF_LIFE_MINUTES || '15') * 60 * 1000,
+      suppress: parseInt(process.env.FLAP_SUPPRESS || '2000'),
+      reuse: parseInt(process.env.FLAP_REUSE || '750'),
+      maxSuppressMs: parseFloat(process.env.FLAP_MAX_SUPPRESS_MINUTES || '60') * 60 * 1000
+    });
+    this.ribState = new RibState(this.writeQueue, {
+      keyPrefix: process.env.RIB_KEY_PREFIX,
+      ttlSeconds: parseInt(process.env.RIB_TTL_HOURS || '48') * 60 * 60,
+      priority: RIB_PRIORITY
+    });
+    // Tail of the publish chain, events leave in the order their messages arrived
+    this.published = Promise.resolve();
+
+    // Optional raw message recording for later replay
+    this.recorder = process.env.RECORD_DIR ? new SessionRecorder({
+      dir: process.env.RECORD_DIR,
+      rotateMs: parseInt(process.env.RECORD_ROTATE_MINUTES || '60') * 60 * 1000,
+      maxBytes: parseInt(process.env.RECORD_MAX_MB || '100') * 1024 * 1024,
+      keepFiles: parseInt(process.env.RECORD_KEEP_FILES || '48')
+    }) : null;
+    this.routeLeakDetector = new RouteLeakDetector({ file: process.env.AS_REL_FILE });
+
+    // RIS Live subscriptions and local ASN filters, re-sent when the file changes
+    this.subscriptionConfig = new SubscriptionConfig({
+      file: process.env.RIS_SUBSCRIPTIONS_FILE,
+      hosts: (process.env.RRC_SET || 'rrc00').split(',').map(rrc => rrc.trim()).filter(Boolean),
+      onChange: (previous, current) => this.resubscribe(previous, current)
+    });
     
     // Metrics interval tracking
     this.metricsInterval = null;
@@ -54,11 +109,25 @@ class RipeClient {
   async initializeGeolocation() {
     try {
       await initializeGeoLite2();
+      this.asnModel = initializeASNModel({
+        file: process.env.ASN_MODEL_FILE || path.join(__dirname, 'data', 'asn-locations.json'),
+        rebuildMs: parseInt(process.env.ASN_MODEL_REBUILD_MINUTES || '15') * 60 * 1000,
+        sampleTtlMs: parseInt(process.env.ASN_MODEL_SAMPLE_DAYS || '7') * 24 * 60 * 60 * 1000,
+        // Sample ages follow the same clock as throttling and flap decay (the recording's in replays)
+        clock: () => this.throttleManager.clock()
+      });
     } catch (err) {
       console.error('Failed to initialize geolocation:', err.message);
     }
   }
 
+  /**
+   * Whether the RIS Live WebSocket is open
+   */
+  get connected() {
+    return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
+  }
+
   /**
    * Connect to RIPE RIS Live WebSocket
    */
@@ -69,6 +138,7 @@ class RipeClient {
     }
 
     this.isConnecting = true;
+    if (this.connectAttempts++ > 0) this.reconnects++;
     
     try {
       console.log('Connecting to RIPE RIS Live WebSocket...');
@@ -78,29 +148,13 @@ class RipeClient {
       this.ws.on('open', () => {
         console.log('✅ Connected to RIPE RIS Live!');
         this.isConnecting = false;
+        this.connectedAt = Date.now();
+        this.disconnectedAt = null;
         
-        // Parse RRC list from environment  
-        const rrcSet = process.env.RRC_SET ? process.env.RRC_SET.split(',') : ['rrc00'];
-        
-        // Subscribe to BGP updates from multiple RRC collectors
-        // Send separate subscription for each RRC (standard WebSocket pattern)
-        console.log(`📡 Subscribing to ${rrcSet.length} RRC collectors...`);
-        
-        rrcSet.forEach((rrc, index) => {
-          const subscription = {
-            type: 'ris_subscribe',
-            data: {
-              host: rrc.trim(), // Each RRC as separate subscription
-              type: 'UPDATE'
-            }
-          };
-          
-          // Send subscription with small delay to avoid overwhelming the server
-          setTimeout(() => {
-            this.ws.send(JSON.stringify(subscription));
-            console.log(`✅ Subscribed to BGP updates from: ${rrc.trim()}`);
-          }, index * 100); // 100ms delay between subscriptions
-        });
+        // Send separate subscription for each entry (standard WebSocket pattern)
+        const subscriptions = this.subscriptionConfig.subscriptions;
+        console.log(`📡 Sending ${subscriptions.length} RIS subscription(s)...`);
+        this.sendSubscriptions('ris_subscribe', subscriptions);
         
         this.metricsManager.setSubscriptionTime();
         this.startMetricsLogging();
@@ -112,6 +166,7 @@ class RipeClient {
 
       this.ws.on('close', (code) => {
         console.log(`❌ WebSocket closed with code: ${code}`);
+        this.disconnectedAt = Date.now();
         this.scheduleReconnect();
       });
 
@@ -126,6 +181,39 @@ class RipeClient {
     }
   }
 
+  /**
+   * Send ris_subscribe/ris_unsubscribe messages for a list of subscriptions
+   */
+  sendSubscriptions(type, subscriptions) {
+    const ws = this.ws;
+
+    subscriptions.forEach((data, index) => {
+      // Send subscription with small delay to avoid overwhelming the server
+      setTimeout(() => {
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({ type, data }));
+        console.log(`✅ ${type === 'ris_subscribe' ? 'Subscribed to' : 'Unsubscribed from'}:`, JSON.stringify(data));
+      }, index * 100); // 100ms delay between subscriptions
+    });
+  }
+
+  /**
+   * Apply a reloaded subscription file to the open connection
+   */
+  resubscribe(previous, current) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    const keys = list => new Set(list.map(subscription => JSON.stringify(subscription)));
+    const previousKeys = keys(previous);
+    const currentKeys = keys(current);
+    const removed = previous.filter(subscription => !currentKeys.has(JSON.stringify(subscription)));
+    const added = current.filter(subscription => !previousKeys.has(JSON.stringify(subscription)));
+
+    console.log(`🔄 RIS subscriptions changed: ${added.length} added, ${removed.length} removed`);
+    this.sendSubscriptions('ris_unsubscribe', removed);
+    this.sendSubscriptions('ris_subscribe', added);
+  }
+
   /**
    * Start metrics logging every 10 seconds
    */
@@ -136,22 +224,71 @@ class RipeClient {
     }
     
     this.metricsInterval = setInterval(() => {
-      this.metricsManager.logMetrics(this.throttleManager);
+      this.metricsManager.logMetrics(this.throttleManager, this.hijackDetector, this.routeLeakDetector, this.rpkiValidator, this.ribState, this.flapDetector, this.sampler, this.writeQueue, this.communityDecoder, this.recorder);
       
-      // Clean up old throttling data
+      // Clean up old throttling and detector data
       this.throttleManager.cleanup();
+      this.hijackDetector.cleanup();
+      this.routeLeakDetector.cleanup();
+
+      // Decay flap penalties, report prefixes that calmed down and publish the top flappers
+      const flapAlerts = this.flapDetector.sweep();
+      if (flapAlerts.length > 0) {
+        // sendAlertsToRedis validates and logs synchronously, so those throws need the catch as well
+        Promise.resolve()
+          .then(() => this.sendAlertsToRedis(flapAlerts))
+          .catch(err => this.processingFailed('flap alerts', err));
+      }
+      this.publishTopFlappers();
     }, 10000);
   }
 
+  /**
+   * Store the current top flapping prefixes for the gateway's /api/flaps
+   */
+  async publishTopFlappers() {
+    const snapshot = { updated: this.flapDetector.clock() / 1000, prefixes: this.flapDetector.top(100) };
+
+    try {
+      await this.redis.set(this.flapTopKey, JSON.stringify(snapshot), { EX: 60 });
+    } catch (err) {
+      console.error('❌ Failed to publish top flapping prefixes:', err.message);
+    }
+  }
+
   /**
    * Handle incoming WebSocket messages from RIPE
    */
   handleMessage(data) {
-    const message = JSON.parse(data.toString());
-    
+    this.lastMessageAt = Date.now();
+    const raw = data.toString();
+    const message = JSON.parse(raw);
+
+    if (this.recorder && message.type === 'ris_message') {
+      this.recorder.record(raw);
+    }
+
+    // A message the pipeline chokes on is logged and counted, it must not take ingest down
+    Promise.resolve()
+      .then(() => this.processMessage(message))
+      .catch(err => this.processingFailed('RIS message', err));
+  }
+
+  processingFailed(what, err) {
+    this.metricsManager.addProcessingErrors(1);
+    console.error(`❌ Failed to process ${what}:`, err);
+  }
+
+  /**
+   * Run a parsed RIS message through the pipeline (also used for replays)
+   * @returns {Promise} - resolves once its events and alerts are written
+   */
+  processMessage(message) {
     if (message.type !== 'ris_message') {
       if (message.type === 'ris_error') {
         console.log('❌ RIS Error:', JSON.stringify(message, null, 2));
+      } else if (message.type === 'ris_subscribe_ok') {
+        console.log('📡 RIS subscription acknowledged:', JSON.stringify(message.data));
       }
       return;
     }
@@ -159,67 +296,167 @@ class RipeClient {
     this.metricsManager.incrementMessagesReceived();
     
     const bgpData = message.data;
-    
-    if (!this.shouldProcessEvent(bgpData)) {
-      return;
-    }
 
     // STEP 1: Convert RIPE format to internal format (without geolocation)
     const shouldDebug = this.debugMessageCount < 3;
     if (shouldDebug) this.debugMessageCount++;
     
     const processedEvents = this.bgpProcessor.convertRipeToArcs(bgpData, shouldDebug);
+
+    // Location learning needs every origin, not just the sampled events
+    for (const event of processedEvents) {
+      if (event.event === 'announce') learnASNLocation(event.origin_asn, event.prefix);
+    }
+
+    // Anomaly detection needs every path, not just the sampled events
+    const alerts = [
+      ...this.hijackDetector.observe(processedEvents),
+      ...this.routeLeakDetector.observe(processedEvents),
+      ...this.flapDetector.observe(processedEvents)
+    ];
+    const alertsSent = alerts.length > 0 ? this.sendAlertsToRedis(alerts) : null;
+
+    // The routing state table also tracks every peer, and fills in what a withdrawal removed
+    const ribUpdated = this.ribState.apply(processedEvents);
+
     this.metricsManager.addEventsGenerated(processedEvents.length);
-    
-    // STEP 2: Apply throttling (this saves us from unnecessary geo lookups!)
-    const eventsToSend = this.throttleManager.filterEvents(processedEvents);
-    
-    // STEP 3: Add geolocation only to events that passed throttling
-    const finalEvents = this.bgpProcessor.addGeolocation(eventsToSend, this.metricsManager);
-    
-    // STEP 4: Send to Redis
-    this.sendEventsToRedis(finalEvents);
+
+    // A message whose withdrawals wait on a RIB lookup holds back the messages after it,
+    // so a withdraw can never land behind the announce that followed it
+    const eventsSent = this.published.then(() => ribUpdated).then(() => {
+      // STEP 2: Sample down to the target rate, most novel first (withdrawals know their origin by now),
+      // then set RTBH announcements apart; detectors and the RIB saw them as the routes they are
+      const sampledEvents = this.bgpProcessor.markBlackholes(this.sampleEvents(processedEvents));
+      if (sampledEvents.length === 0) return;
+
+      // STEP 3: Apply throttling (this saves us from unnecessary geo lookups!)
+      const eventsToSend = this.throttleManager.filterEvents(sampledEvents);
+
+      // STEP 4: Add geolocation only to events that passed throttling
+      const finalEvents = this.bgpProcessor.addGeolocation(eventsToSend, this.metricsManager);
+
+      // STEP 5: Send to Redis
+      return this.sendEventsToRedis(finalEvents);
+    });
+    // Failures reach the caller through eventsSent, the chain carries on
+    this.published = eventsSent.catch(() => {});
+
+    return Promise.all([alertsSent, eventsSent]);
   }
 
   /**
-   * Send events to Redis stream
+   * Queue events for the Redis stream
+   * @returns {Promise} - resolves once they are queued (waits only under the block policy)
    */
-  async sendEventsToRedis(events) {
-    for (const event of events) {
-      try {
-        await this.redis.xAdd(this.streamName, '*', { data: JSON.stringify(event) }, {
-          TRIM: {
-            strategy: 'MAXLEN',
-            strategyModifier: '~',
-            threshold: this.maxLen
-          }
-        });
-      } catch (err) {
-        console.error('❌ Failed to send event to Redis:', err.message);
+  sendEventsToRedis(events) {
+    return Promise.all(events.map(({ priority, ...event }) => {
+      // Invalid events go to the dead-letter stream instead of the live feed
+      const { valid, errors } = validateEvent(event);
+      if (!valid) {
+        this.metricsManager.addEventsInvalid(1);
+        return this.sendToDeadLetter(event, errors);
       }
-    }
-    
-    this.metricsManager.addEventsSent(events.length);
+
+      return this.writeQueue.push({
+        kind: 'event',
+        stream: this.streamName,
+        fields: { data: JSON.stringify(event) },
+        maxLen: this.maxLen,
+        priority
+      });
+    }));
   }
 
   /**
-   * Filter events to only process important ones
+   * Queue hijack/MOAS, route leak and flap alerts for their own stream
    */
-  shouldProcessEvent(bgpData) {
-    // Only process from important ASNs for now (can be expanded)
-    if (IMPORTANT_ASNS.has(bgpData.peer_asn)) {
-      return true;
-    }
-    
-    // Also process if any announcement involves important ASNs
-    if (bgpData.announcements && bgpData.announcements.length > 0) {
-      const path = bgpData.path || [];
-      if (path.some(asn => IMPORTANT_ASNS.has(asn))) {
-        return true;
+  sendAlertsToRedis(alerts) {
+    return Promise.all(alerts.map(alert => {
+      if (alert.alert === 'route_leak') {
+        console.log(`🚨 ROUTE_LEAK ${alert.prefix}: AS${alert.leaker_asn} leaked AS${alert.leaked_from} -> AS${alert.leaked_to} (${alert.relationship})`);
+      } else if (alert.alert === 'flap') {
+        console.log(`🚨 FLAP ${alert.state} ${alert.prefix}: penalty ${alert.penalty}, ${alert.flaps} flaps`);
+      } else {
+        console.log(`🚨 ${alert.alert.toUpperCase()} ${alert.prefix}: AS${alert.new_origin} vs ${alert.old_origins.map(origin => `AS${origin.asn}`).join(', ')}`);
+      }
+
+      const { valid, errors } = validateEvent(alert);
+      if (!valid) {
+        this.metricsManager.addEventsInvalid(1);
+        return this.sendToDeadLetter(alert, errors);
       }
+
+      return this.writeQueue.push({
+        kind: 'alert',
+        stream: this.alertStream,
+        fields: { data: JSON.stringify(alert) },
+        maxLen: 10000,
+        priority: ALERT_PRIORITY
+      });
+    }));
+  }
+
+  /**
+   * Store a rejected event with the validation errors
+   */
+  sendToDeadLetter(event, errors) {
+    return this.writeQueue.push({
+      kind: 'dead_letter',
+      stream: this.dlqStream,
+      fields: {
+        data: JSON.stringify(event),
+        reason: errors.join('; '),
+        source: 'ingest',
+        failed_at: String(Date.now() / 1000)
+      },
+      maxLen: 10000,
+      priority: DEAD_LETTER_PRIORITY
+    });
+  }
+
+  /**
+   * Count what a flushed batch delivered
+   */
+  countWritten(items) {
+    let events = 0;
+    let alerts = 0;
+    for (const item of items) {
+      if (item.kind === 'event') events++;
+      if (item.kind === 'alert') alerts++;
     }
-    
-    return false;
+    this.metricsManager.addEventsSent(events);
+    this.metricsManager.addAlertsSent(alerts);
+  }
+
+  /**
+   * Block policy: stop reading RIS Live while the write queue is full
+   */
+  pauseSource() {
+    console.log(`⏸️ Write queue full (${this.writeQueue.maxSize}), pausing RIS Live`);
+    if (this.ws) this.ws.pause();
+  }
+
+  resumeSource() {
+    console.log('▶️ Write queue drained, resuming RIS Live');
+    if (this.ws) this.ws.resume();
+  }
+
+  /**
+   * Drop excluded ASNs, then let the sampler pick (asns.include is always kept).
+   * Kept events get a write `priority` for the queue's drop-low-priority policy.
+   */
+  sampleEvents(events) {
+    const { include, exclude } = this.subscriptionConfig;
+
+    return events.filter(event => {
+      if (exclude && involvesAsn(event, exclude)) return false;
+
+      const category = this.sampler.sample(event, Boolean(include && involvesAsn(event, include)));
+      if (!category) return false;
+
+      event.priority = ImportanceSampler.priorityOf(category);
+      return true;
+    });
   }
 
   /**
@@ -238,6 +475,7 @@ class RipeClient {
 
   /**
    * Close the WebSocket connection
+   * @returns {Promise} - resolves once queued writes are flushed and the ASN location model is saved
    */
   close() {
     if (this.ws) {
@@ -250,7 +488,24 @@ class RipeClient {
       clearInterval(this.metricsInterval);
       this.metricsInterval = null;
     }
+
+    this.rpkiValidator.close();
+    this.communityDecoder.close();
+    this.subscriptionConfig.close();
+    if (this.recorder) this.recorder.close();
+
+    const saved = this.asnModel
+      ? this.asnModel.stop().catch(err => console.error('❌ Failed to save ASN location model:', err.message))
+      : null;
+    return Promise.all([this.writeQueue.close(), saved]);
   }
 }
 
+/**
+ * Whether the peer or any AS on the path is in the set
+ */
+function involvesAsn(event, asns) {
+  return asns.has(event.peer_asn) || event.as_path.flat().some(asn => asns.has(asn));
+}
+
 module.exports = RipeClient;
\ No newline at end of file
@@ -0,0 +1,213 @@
+/**
+ * Route Leak Detector
+ * Checks AS paths against CAIDA AS relationships and flags valley-free violations
+ *
+ * The relationship file is CAIDA's as-rel format (plain or .gz):
+ *   # comment
+ *   <provider-as>|<customer-as>|-1
+ *   <peer-as>|<peer-as>|0
+ * The serial-2 variant's fourth (source) column is ignored.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Direction of one hop, seen from the AS sending the route
+const UP = 'c2p';
+const PEER = 'p2p';
+const DOWN = 'p2c';
+
+class RouteLeakDetector {
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.alertCooldownMs = options.alertCooldownMs || 60 * 60 * 1000; // 1 hour per leaker/prefix
+
+    this.relationships = new Map(); // asn -> Map(neighbor -> UP | PEER | DOWN)
+    this.lastAlerted = new Map();   // alert key -> ms
+
+    // Metrics
+    this.pathsChecked = 0;
+    this.leakAlerts = 0;
+
+    if (this.file) {
+      this.load();
+    }
+  }
+
+  get enabled() {
+    return this.relationships.size > 0;
+  }
+
+  /**
+   * Load the relationship file, keeping the previous data if it fails
+   */
+  load() {
+    try {
+      let raw = fs.readFileSync(this.file);
+      if (this.file.endsWith('.gz')) {
+        raw = zlib.gunzipSync(raw);
+      }
+
+      const relationships = new Map();
+      let links = 0;
+
+      for (const line of raw.toString('utf8').split('\n')) {
+        if (!line || line.startsWith('#')) continue;
+
+        const [left, right, type] = line.split('|');
+        const a = Number(left);
+        const b = Number(right);
+        if (!Number.isInteger(a) || !Number.isInteger(b)) continue;
+
+        if (type === '-1') {
+          this.setRelationship(relationships, a, b, DOWN);
+          this.setRelationship(relationships, b, a, UP);
+        } else if (type === '0') {
+          this.setRelationship(relationships, a, b, PEER);
+          this.setRelationship(relationships, b, a, PEER);
+        } else {
+          continue;
+        }
+        links++;
+      }
+
+      this.relationships = relationships;
+      console.log(`🔗 Loaded ${links} AS relationships from ${this.file}`);
+    } catch (err) {
+      console.error(`❌ Failed to load AS relationships from ${this.file}:`, err.message);
+    }
+  }
+
+  setRelationship(relationships, from, to, direction) {
+    if (!relationships.has(from)) {
+      relationships.set(from, new Map());
+    }
+    relationships.get(from).set(to, direction);
+  }
+
+  /**
+   * Direction of a route sent from `from` to `to`, null when unknown
+   */
+  directionOf(from, to) {
+    const neighbors = this.relationships.get(from);
+    return neighbors ? neighbors.get(to) || null : null;
+  }
+
+  /**
+   * Feed converted events, returns bgp.alert.v0 events for leaked paths
+   */
+  observe(events) {
+    if (!this.enabled) return [];
+
+    const alerts = [];
+    for (const event of events) {
+      if (event.event !== 'announce') continue;
+
+      const leak = this.findLeak(event.as_path);
+      if (!leak) continue;
+
+      const alert = this.buildAlert(event, leak);
+      if (alert) alerts.push(alert);
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Walk the path from the origin towards the collector peer
+   * A valley-free path goes up (customer to provider) zero or more times, crosses
+   * at most one peering, then only goes down. Sending a route up or across after
+   * it has gone across or down is a leak, and the sender is the leaker.
+   * @returns {object|null} - { leaker, from, to, received, sent }
+   */
+  findLeak(path) {
+    if (!Array.isArray(path) || path.length < 3) return null;
+
+    // AS_SETs have no single neighbor to judge
+    if (path.some(hop => Array.isArray(hop))) return null;
+
+    this.pathsChecked++;
+
+    // Origin first, prepending collapsed
+    const hops = [];
+    for (let i = path.length - 1; i >= 0; i--) {
+      if (hops[hops.length - 1] !== path[i]) hops.push(path[i]);
+    }
+
+    let descending = null; // how the route last went across or down
+
+    for (let i = 0; i < hops.length - 1; i++) {
+      const direction = this.directionOf(hops[i], hops[i + 1]);
+      if (!direction) continue;
+
+      if (descending && (direction === UP || direction === PEER)) {
+        return {
+          leaker: hops[i],
+          from: hops[i - 1],
+          to: hops[i + 1],
+          received: descending,
+          sent: direction
+        };
+      }
+
+      if (direction === PEER || direction === DOWN) {
+        descending = direction;
+      }
+    }
+
+    return null;
+  }
+
+  buildAlert(event, leak) {
+    const alertKey = `${leak.leaker}:${leak.to}:${event.prefix}`;
+    const now = Date.now();
+    const last = this.lastAlerted.get(alertKey);
+    if (last && now - last < this.alertCooldownMs) return null;
+    this.lastAlerted.set(alertKey, now);
+
+    this.leakAlerts++;
+
+    return {
+      schema: 'bgp.alert.v0',
+      ts: event.ts,
+      alert: 'route_leak',
+      severity: 'medium',
+      prefix: event.prefix,
+      leaker_asn: leak.leaker,
+      leaked_from: leak.from,
+      leaked_to: leak.to,
+      // e.g. received p2c from a provider, sent c2p to another provider
+      relationship: `${leak.received}>${leak.sent}`,
+      origin_asn: event.origin_asn,
+      peers: [event.peer_asn],
+      as_path: event.as_path,
+      first_seen: event.ts,
+      rrc: event.rrc
+    };
+  }
+
+  /**
+   * Drop expired alert cooldowns
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.alertCooldownMs;
+    for (const [key, ts] of this.lastAlerted.entries()) {
+      if (ts < cutoff) {
+        this.lastAlerted.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      pathsChecked: this.pathsChecked,
+      leakAlerts: this.leakAlerts,
+      asRelationships: this.relationships.size
+    };
+  }
+}
+
+module.exports = RouteLeakDetector;
@@ -0,0 +1,128 @@
+/**
+ * RPKI Validator
+ * Route origin validation (RFC 6811) against a Validated ROA Payload export
+ *
+ * Reads the JSON written by rpki-client (-j) or Routinator (--format json/jsonext):
+ *   { "roas": [ { "asn": 13335 | "AS13335", "prefix": "1.1.1.0/24", "maxLength": 24, ... } ] }
+ * and reloads it when the file changes.
+ */
+
+const fs = require('fs');
+const { parsePrefix, truncatePrefix } = require('../shared/prefix-utils');
+
+const STATUSES = ['valid', 'invalid-asn', 'invalid-length', 'not-found'];
+
+class RpkiValidator {
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.watchIntervalMs = options.watchIntervalMs || 10000;
+
+    // family -> Map(length -> Map(network value -> [{ asn, maxLength }]))
+    this.vrps = new Map();
+    this.vrpCount = 0;
+    this.loadedAt = null;
+
+    // Metrics
+    this.statusCounts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+
+    if (this.file) {
+      this.load();
+      fs.watchFile(this.file, { interval: this.watchIntervalMs }, () => this.load());
+    }
+  }
+
+  get enabled() {
+    return this.vrpCount > 0;
+  }
+
+  /**
+   * Load the VRP file, keeping the previous set when it is missing or broken
+   */
+  load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!parsed || !Array.isArray(parsed.roas)) {
+        throw new Error('no "roas" array');
+      }
+
+      const vrps = new Map();
+      let count = 0;
+
+      for (const roa of parsed.roas) {
+        const prefix = parsePrefix(String(roa.prefix));
+        const asn = Number(String(roa.asn).replace(/^AS/i, ''));
+        const maxLength = roa.maxLength === undefined ? prefix && prefix.length : Number(roa.maxLength);
+        if (!prefix || !Number.isInteger(asn) || !Number.isInteger(maxLength)) continue;
+
+        if (!vrps.has(prefix.family)) vrps.set(prefix.family, new Map());
+        const byLength = vrps.get(prefix.family);
+        if (!byLength.has(prefix.length)) byLength.set(prefix.length, new Map());
+        const byNetwork = byLength.get(prefix.length);
+
+        const key = prefix.value.toString(16);
+        if (!byNetwork.has(key)) byNetwork.set(key, []);
+        byNetwork.get(key).push({ asn, maxLength });
+        count++;
+      }
+
+      this.vrps = vrps;
+      this.vrpCount = count;
+      this.loadedAt = Date.now();
+      console.log(`🔐 Loaded ${count} VRPs from ${this.file}`);
+    } catch (err) {
+      console.error(`❌ Failed to load VRPs from ${this.file}:`, err.message);
+    }
+  }
+
+  /**
+   * Validate an origin for a prefix
+   * @returns {string} - valid | invalid-asn | invalid-length | not-found
+   */
+  validate(prefix, originAsn) {
+    const parsed = parsePrefix(prefix);
+    const byLength = parsed && this.vrps.get(parsed.family);
+    if (!byLength) return this.count('not-found');
+
+    let covered = false;
+    let asnMatched = false;
+
+    for (const [length, byNetwork] of byLength) {
+      if (length > parsed.length) continue;
+
+      const candidates = byNetwork.get(truncatePrefix(parsed, length).value.toString(16));
+      if (!candidates) continue;
+
+      covered = true;
+      for (const vrp of candidates) {
+        // AS0 ROAs never validate anything
+        if (vrp.asn === 0 || vrp.asn !== originAsn) continue;
+        if (parsed.length <= vrp.maxLength) return this.count('valid');
+        asnMatched = true;
+      }
+    }
+
+    if (!covered) return this.count('not-found');
+    return this.count(asnMatched ? 'invalid-length' : 'invalid-asn');
+  }
+
+  count(status) {
+    this.statusCounts[status]++;
+    return status;
+  }
+
+  close() {
+    if (this.file) fs.unwatchFile(this.file);
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      vrpCount: this.vrpCount,
+      ...this.statusCounts
+    };
+  }
+}
+
+module.exports = RpkiValidator;
@@ -0,0 +1,133 @@
+/**
+ * Session Recorder
+ * Writes raw RIS Live ris_message payloads to rotating NDJSON files
+ *
+ * One line per message, the payload kept byte-for-byte as received:
+ *   {"recorded_at":1755547893.71,"message":{"type":"ris_message","data":{...}}}
+ * Files are named ris-<UTC start time>.ndjson and rotate by age or size.
+ * While the disk cannot keep up (maxBuffered bytes waiting), lines are dropped
+ * and counted rather than queued in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class SessionRecorder {
+  /**
+   * @param {object} options - { dir, rotateMs, maxBytes, keepFiles, maxBuffered }
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.rotateMs = options.rotateMs || 60 * 60 * 1000;  // 1 hour per file
+    this.maxBytes = options.maxBytes || 100 * 1024 * 1024; // or 100 MB
+    this.keepFiles = options.keepFiles || 48;
+    this.maxBuffered = options.maxBuffered || 8 * 1024 * 1024;
+
+    this.stream = null;
+    this.file = null;
+    this.openedAt = 0;
+    this.bytes = 0;
+
+    // Metrics
+    this.recorded = 0;
+    this.dropped = 0;
+    this.dropping = false;
+    this.writeErrors = 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Append one raw ris_message (the JSON text as received)
+   */
+  record(raw) {
+    const now = Date.now();
+    if (!this.stream || now - this.openedAt >= this.rotateMs || this.bytes >= this.maxBytes) {
+      this.rotate(now);
+    }
+
+    // Over the buffer limit until the stream drains, a dropped line leaves a gap in the recording
+    if (this.dropping || this.stream.writableLength >= this.maxBuffered) {
+      if (!this.dropping) {
+        this.dropping = true;
+        console.warn(`⚠️ Recording ${this.file} fell behind, dropping messages until it drains`);
+        const stream = this.stream;
+        stream.once('drain', () => {
+          if (this.stream === stream) this.dropping = false;
+        });
+      }
+      this.dropped++;
+      return;
+    }
+
+    const line = `{"recorded_at":${now / 1000},"message":${raw}}\n`;
+    this.stream.write(line);
+    this.bytes += Buffer.byteLength(line);
+    this.recorded++;
+  }
+
+  rotate(now) {
+    if (this.stream) {
+      this.stream.end();
+    }
+
+    const stamp = new Date(now).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    this.file = path.join(this.dir, `ris-${stamp}.ndjson`);
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', err => {
+      this.writeErrors++;
+      console.error(`❌ Recording write failed (${this.file}):`, err.message);
+    });
+    this.openedAt = now;
+    this.bytes = 0;
+    this.dropping = false;
+
+    console.log(`⏺️ Recording RIS messages to ${this.file}`);
+    this.prune();
+  }
+
+  /**
+   * Delete the oldest recordings beyond keepFiles
+   */
+  prune() {
+    try {
+      const files = SessionRecorder.listRecordings(this.dir);
+      for (const file of files.slice(0, Math.max(files.length - this.keepFiles, 0))) {
+        fs.unlinkSync(file);
+      }
+    } catch (err) {
+      console.error('❌ Failed to prune recordings:', err.message);
+    }
+  }
+
+  /**
+   * Recordings in a directory, oldest first (names sort by start time)
+   */
+  static listRecordings(dir) {
+    return fs.readdirSync(dir)
+      .filter(name => /^ris-.*\.ndjson(\.gz)?$/.test(name))
+      .sort()
+      .map(name => path.join(dir, name));
+  }
+
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      recorded: this.recorded,
+      dropped: this.dropped,
+      writeErrors: this.writeErrors,
+      file: this.file
+    };
+  }
+}
+
+module.exports = SessionRecorder;
@@ -0,0 +1,205 @@
+/**
+ * Status Server
+ * HTTP surface for orchestration: Prometheus metrics and health probes
+ *
+ *   GET /metrics  Prometheus text format
+ *   GET /flaps    top flapping prefixes as JSON (?limit=, default 10), which the
+ *                 unlabelled metrics cannot name
+ *   GET /healthz  liveness, 503 once the RIS feed has stalled or been down too long
+ *   GET /readyz   readiness, 503 until RIS Live is connected and Redis answers
+ * Replays have no WebSocket, so only Redis counts for them.
+ */
+
+const http = require('http');
+const Metrics = require('../shared/metrics');
+
+class StatusServer {
+  /**
+   * @param {object} ripeClient - the RipeClient being served
+   * @param {object} redisClient - connected node-redis client
+   * @param {object} options - { port, live, stallMs, downMs }
+   *   live: whether a RIS Live connection is expected (false for replays)
+   *   stallMs: how long a connected feed may go without messages
+   *   downMs: how long the feed may stay disconnected
+   */
+  constructor(ripeClient, redisClient, options = {}) {
+    this.client = ripeClient;
+    this.redis = redisClient;
+    this.port = options.port || 9100;
+    this.live = options.live !== false;
+    this.stallMs = options.stallMs || 2 * 60 * 1000;
+    this.downMs = options.downMs || 5 * 60 * 1000;
+    this.startedAt = Date.now();
+    this.server = null;
+
+    this.metrics = new Metrics();
+    this.registerMetrics();
+  }
+
+  registerMetrics() {
+    const m = this.metrics;
+    m.counter('ingest_ris_messages_total', 'RIS messages received');
+    m.counter('ingest_events_generated_total', 'Prefix events converted from RIS messages');
+    m.counter('ingest_events_sent_total', 'Events written to the Redis stream');
+    m.counter('ingest_events_invalid_total', 'Events and alerts rejected by schema validation');
+    m.counter('ingest_events_throttled_total', 'Duplicate events suppressed by the throttle window');
+    m.counter('ingest_tier1_filtered_total', 'Events dropped by the Tier 1 filter');
+    m.counter('ingest_path_changes_total', 'Events let through the throttle for a changed AS path');
+    m.counter('ingest_type_flips_total', 'Events let through the throttle for an announce/withdraw flip');
+    m.gauge('ingest_tracked_prefixes', 'Prefixes in the throttle window');
+    m.counter('ingest_geo_lookups_total', 'Geolocation lookups');
+    m.counter('ingest_geo_hits_total', 'Geolocation lookups answered by GeoLite2, the learned model or the static map');
+    m.counter('ingest_geo_fallbacks_total', 'Geolocation lookups that fell back to a placeholder location');
+    m.counter('ingest_alerts_sent_total', 'Alerts written to the alert stream');
+    m.counter('ingest_blackhole_communities_total', 'Blackhole (RTBH) communities seen on announcements');
+    m.gauge('ingest_flapping_prefixes', 'Prefixes currently flagged as flapping');
+    m.counter('ingest_flap_starts_total', 'Prefixes that started flapping');
+    m.counter('ingest_flap_stops_total', 'Flapping prefixes that settled down');
+    for (const category of Object.keys(this.client.sampler.getMetrics().dropped)) {
+      m.gauge(`ingest_sampler_dropped_ratio_${category}`, `Share of ${category} events dropped by the sampler`);
+    }
+    m.gauge('ingest_write_queue_depth', 'Redis writes waiting in the write queue');
+    m.counter('ingest_write_queue_dropped_total', 'Redis writes dropped by the overflow policy');
+    m.counter('ingest_write_failures_total', 'Redis write batches that failed');
+    m.gauge('ingest_ris_connected', '1 while the RIS Live WebSocket is open');
+    m.counter('ingest_ris_reconnects_total', 'RIS Live reconnection attempts');
+    m.gauge('ingest_ris_last_message_age_seconds', 'Seconds since the last RIS message');
+    m.gauge('ingest_redis_ready', '1 while the Redis client is connected');
+
+    m.addCollector(() => this.collect());
+  }
+
+  collect() {
+    const m = this.metrics;
+    const client = this.client;
+    const core = client.metricsManager.getSnapshot();
+    const throttle = client.throttleManager.getMetrics();
+    const queue = client.writeQueue.getMetrics();
+    const communities = client.communityDecoder.getMetrics();
+    const flaps = client.flapDetector.getMetrics();
+    const sampler = client.sampler.getMetrics();
+
+    m.set('ingest_ris_messages_total', core.messagesReceived);
+    m.set('ingest_events_generated_total', core.eventsGenerated);
+    m.set('ingest_events_sent_total', core.eventsSent);
+    m.set('ingest_events_invalid_total', core.eventsInvalid);
+    m.set('ingest_events_throttled_total', throttle.throttled);
+    m.set('ingest_tier1_filtered_total', throttle.tier1Filtered);
+    m.set('ingest_path_changes_total', throttle.pathChanges);
+    m.set('ingest_type_flips_total', throttle.typeFlips);
+    m.set('ingest_tracked_prefixes', throttle.trackedPrefixes);
+    m.set('ingest_geo_lookups_total', core.geoLookups);
+    m.set('ingest_geo_hits_total', core.geoLite2Hits);
+    m.set('ingest_geo_fallbacks_total', core.geoFallbacks);
+    m.set('ingest_alerts_sent_total', core.alertsSent);
+    m.set('ingest_blackhole_communities_total', communities.blackholes);
+    m.set('ingest_flapping_prefixes', flaps.flappingPrefixes);
+    m.set('ingest_flap_starts_total', flaps.flapStarts);
+    m.set('ingest_flap_stops_total', flaps.flapStops);
+    for (const [category, fraction] of Object.entries(sampler.dropped)) {
+      m.set(`ingest_sampler_dropped_ratio_${category}`, fraction);
+    }
+    m.set('ingest_write_queue_depth', queue.depth);
+    m.set('ingest_write_queue_dropped_total', queue.dropped);
+    m.set('ingest_write_failures_total', queue.failures);
+    m.set('ingest_ris_connected', client.connected ? 1 : 0);
+    m.set('ingest_ris_reconnects_total', client.reconnects);
+    m.set('ingest_ris_last_message_age_seconds', client.lastMessageAt ? (Date.now() - client.lastMessageAt) / 1000 : -1);
+    m.set('ingest_redis_ready', this.redis.isReady ? 1 : 0);
+  }
+
+  /**
+   * Liveness: problems a restart can fix
+   */
+  health() {
+    if (!this.live) return { ok: true };
+
+    const now = Date.now();
+    const client = this.client;
+
+    // Paused on purpose while the write queue drains (readiness reports Redis)
+    if (client.writeQueue.blocked) return { ok: true, paused: true };
+
+    if (client.connected) {
+      const lastMessage = client.lastMessageAt || client.connectedAt;
+      if (now - lastMessage > this.stallMs) {
+        return { ok: false, reason: `no RIS messages for ${Math.round((now - lastMessage) / 1000)}s` };
+      }
+      return { ok: true };
+    }
+
+    const downSince = client.disconnectedAt || this.startedAt;
+    if (now - downSince > this.downMs) {
+      return { ok: false, reason: `RIS Live disconnected for ${Math.round((now - downSince) / 1000)}s` };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Readiness: connected to RIS Live and Redis answers a ping
+   */
+  async readiness() {
+    if (this.live && !this.client.connected) {
+      return { ready: false, reason: 'RIS Live not connected' };
+    }
+
+    try {
+      await Promise.race([
+        this.redis.ping(),
+        new Promise((resolve, reject) => setTimeout(() => reject(new Error('ping timed out')), 1000))
+      ]);
+    } catch (err) {
+      return { ready: false, reason: `Redis: ${err.message}` };
+    }
+
+    return { ready: true };
+  }
+
+  async handle(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+      this.send(res, 405, 'application/json', JSON.stringify({ error: 'method not allowed' }));
+    } else if (pathname === '/metrics') {
+      this.send(res, 200, 'text/plain; version=0.0.4', await this.metrics.render());
+    } else if (pathname === '/flaps') {
+      const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '10') || 10, 1), 100);
+      this.send(res, 200, 'application/json', JSON.stringify({ prefixes: this.client.flapDetector.top(limit) }));
+    } else if (pathname === '/healthz') {
+      const health = this.health();
+      this.send(res, health.ok ? 200 : 503, 'application/json', JSON.stringify(health));
+    } else if (pathname === '/readyz') {
+      const readiness = await this.readiness();
+      this.send(res, readiness.ready ? 200 : 503, 'application/json', JSON.stringify(readiness));
+    } else {
+      this.send(res, 404, 'application/json', JSON.stringify({ error: 'not found' }));
+    }
+  }
+
+  send(res, status, type, body) {
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(body);
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(err => {
+        console.error('status server error:', err);
+        if (!res.headersSent) this.send(res, 500, 'application/json', JSON.stringify({ error: 'internal error' }));
+      });
+    });
+
+    this.server.listen(this.port, () => {
+      console.log(`🩺 Metrics and health checks on :${this.port} (/metrics, /flaps, /healthz, /readyz)`);
+    });
+  }
+
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+module.exports = StatusServer;
@@ -0,0 +1,195 @@
+/**
+ * Subscription Config
+ * RIS Live subscriptions and local ASN filters from a JSON file, reloaded on change
+ *
+ *   {
+ *     "socketOptions": { "acknowledge": true },            // defaults for every subscription
+ *     "subscriptions": [
+ *       { "host": "rrc00", "type": "UPDATE" },
+ *       { "prefix": "8.8.8.0/24", "moreSpecific": true, "lessSpecific": false },
+ *       { "path": "13335$", "peer": "195.66.224.175", "require": "announcements" }
+ *     ],
+ *     "asns": { "include": [15169, 13335], "exclude": [64512] }   // always / never published
+ *   }
+ *
+ * Subscription entries are sent as-is as ris_subscribe data, so every server-side
+ * option RIS Live documents is available. Without a file, each RRC_SET host gets
+ * an UPDATE subscription and no local ASN lists are set.
+ */
+
+const fs = require('fs');
+const { parsePrefix } = require('../shared/prefix-utils');
+
+const SUBSCRIPTION_FIELDS = new Set([
+  'host', 'type', 'require', 'peer', 'path', 'prefix', 'moreSpecific', 'lessSpecific', 'socketOptions'
+]);
+const MESSAGE_TYPES = new Set(['UPDATE', 'OPEN', 'NOTIFICATION', 'KEEPALIVE', 'RIS_PEER_STATE']);
+const SOCKET_OPTIONS = new Set(['includeRaw', 'acknowledge']);
+
+class SubscriptionConfig {
+  /**
+   * @param {object} options - { file, hosts, watchIntervalMs, onChange }
+   *   hosts: collectors to subscribe to when there is no file (RRC_SET)
+   *   onChange: (previous, current) => ..., called when a reload changes the subscriptions
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.watchIntervalMs = options.watchIntervalMs || 5000;
+    this.onChange = options.onChange || null;
+
+    this.subscriptions = (options.hosts || ['rrc00']).map(host => ({ host, type: 'UPDATE' }));
+    this.include = null; // Set of ASNs, null when the file has no include list
+    this.exclude = null;
+    this.loadedAt = null;
+
+    // Metrics
+    this.reloads = 0;
+    this.reloadErrors = 0;
+
+    if (this.file) {
+      this.load();
+      fs.watchFile(this.file, { interval: this.watchIntervalMs }, () => this.reload());
+    }
+  }
+
+  /**
+   * Load the file, keeping the previous config when it is missing or broken
+   * @returns {boolean} - whether the file was applied
+   */
+  load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const config = SubscriptionConfig.parse(parsed);
+
+      this.subscriptions = config.subscriptions;
+      this.include = config.include;
+      this.exclude = config.exclude;
+      this.loadedAt = Date.now();
+      console.log(`📡 Loaded ${this.subscriptions.length} RIS subscription(s) from ${this.file}` +
+        (this.include ? `, ${this.include.size} included ASNs` : '') +
+        (this.exclude ? `, ${this.exclude.size} excluded ASNs` : ''));
+      return true;
+    } catch (err) {
+      this.reloadErrors++;
+      console.error(`❌ Failed to load RIS subscriptions from ${this.file}:`, err.message);
+      return false;
+    }
+  }
+
+  reload() {
+    const previous = this.subscriptions;
+    if (!this.load()) return;
+    this.reloads++;
+
+    if (this.onChange && JSON.stringify(previous) !== JSON.stringify(this.subscriptions)) {
+      this.onChange(previous, this.subscriptions);
+    }
+  }
+
+  /**
+   * Validate a parsed config file into { subscriptions, include, exclude }
+   */
+  static parse(config) {
+    if (!config || typeof config !== 'object' || !Array.isArray(config.subscriptions)) {
+      throw new Error('no "subscriptions" array');
+    }
+    if (config.subscriptions.length === 0) {
+      throw new Error('"subscriptions" is empty');
+    }
+
+    const socketOptions = SubscriptionConfig.parseSocketOptions(config.socketOptions, 'socketOptions');
+    const subscriptions = config.subscriptions.map((entry, index) => {
+      const subscription = SubscriptionConfig.parseSubscription(entry, `subscriptions[${index}]`);
+      if (socketOptions) {
+        subscription.socketOptions = { ...socketOptions, ...subscription.socketOptions };
+      }
+      return subscription;
+    });
+
+    const asns = config.asns || {};
+    return {
+      subscriptions,
+      include: SubscriptionConfig.parseAsns(asns.include, 'asns.include'),
+      exclude: SubscriptionConfig.parseAsns(asns.exclude, 'asns.exclude')
+    };
+  }
+
+  static parseSubscription(entry, field) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`${field} is not an object`);
+    }
+
+    for (const key of Object.keys(entry)) {
+      if (!SUBSCRIPTION_FIELDS.has(key)) throw new Error(`${field} has unknown option: ${key}`);
+    }
+
+    const subscription = { ...entry, type: entry.type || 'UPDATE' };
+    if (!MESSAGE_TYPES.has(subscription.type)) {
+      throw new Error(`${field}.type must be one of ${Array.from(MESSAGE_TYPES).join(', ')}`);
+    }
+
+    // RIS Live takes one prefix or a list of them
+    if (entry.prefix !== undefined) {
+      const prefixes = Array.isArray(entry.prefix) ? entry.prefix : [entry.prefix];
+      for (const prefix of prefixes) {
+        if (!parsePrefix(String(prefix))) throw new Error(`${field}.prefix is not a CIDR: ${prefix}`);
+      }
+    }
+    for (const flag of ['moreSpecific', 'lessSpecific']) {
+      if (entry[flag] !== undefined && typeof entry[flag] !== 'boolean') {
+        throw new Error(`${field}.${flag} must be true or false`);
+      }
+    }
+    if (entry.path !== undefined && typeof entry.path !== 'string' && !Number.isInteger(entry.path)) {
+      throw new Error(`${field}.path must be an ASN or a path pattern`);
+    }
+
+    if (entry.socketOptions !== undefined) {
+      subscription.socketOptions = SubscriptionConfig.parseSocketOptions(entry.socketOptions, `${field}.socketOptions`);
+    }
+
+    return subscription;
+  }
+
+  static parseSocketOptions(options, field) {
+    if (options === undefined) return null;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(`${field} is not an object`);
+    }
+
+    for (const [key, value] of Object.entries(options)) {
+      if (!SOCKET_OPTIONS.has(key)) throw new Error(`${field} has unknown option: ${key}`);
+      if (typeof value !== 'boolean') throw new Error(`${field}.${key} must be true or false`);
+    }
+    return { ...options };
+  }
+
+  static parseAsns(list, field) {
+    if (list === undefined) return null;
+    if (!Array.isArray(list)) throw new Error(`${field} must be a list of ASNs`);
+
+    return new Set(list.map(value => {
+      const asn = Number(String(value).replace(/^AS/i, ''));
+      if (!Number.isInteger(asn) || asn < 0) throw new Error(`${field} has an invalid ASN: ${value}`);
+      return asn;
+    }));
+  }
+
+  close() {
+    if (this.file) fs.unwatchFile(this.file);
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      subscriptions: this.subscriptions.length,
+      reloads: this.reloads,
+      reloadErrors: this.reloadErrors,
+      loadedAt: this.loadedAt
+    };
+  }
+}
+
+module.exports = SubscriptionConfig;
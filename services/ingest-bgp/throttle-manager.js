@@ -6,6 +6,7 @@
 class ThrottleManager {
   constructor(windowMs = 500) {  // Reduced from 1000ms to 500ms for better duplicate detection
     this.THROTTLE_WINDOW_MS = windowMs;
+    this.clock = () => Date.now(); // replays swap in the recording's clock
     this.prefixLastSeen = new Map(); // prefix -> {ts, pathHash, type}
     
     // Metrics
@@ -66,7 +67,7 @@ class ThrottleManager {
    * Check if an event should be throttled
    */
   shouldThrottle(event) {
-    const now = Date.now();
+    const now = this.clock();
     const key = event.prefix;
     const last = this.prefixLastSeen.get(key);
     
@@ -185,7 +186,7 @@ class ThrottleManager {
    * Clean up old prefix entries for memory management
    */
   cleanup(maxAge = 60000) { // 1 minute default
-    const cutoff = Date.now() - maxAge;
+    const cutoff = this.clock() - maxAge;
     for (const [prefix, data] of this.prefixLastSeen.entries()) {
       if (data.ts < cutoff) {
         this.prefixLastSeen.delete(prefix);
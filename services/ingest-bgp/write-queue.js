@@ -0,0 +1,327 @@
+/**
+ * Write Queue
+ * Bounded in-process queue of Redis writes, flushed in batches
+ *
+ * Items are stream writes ({ stream, fields, maxLen }, sent as XADD) or a few
+ * commands that belong together ({ commands: [['hSet', key, field, value], ...] }),
+ * like the RIB state updates. An item's `done` callback gets its replies once Redis
+ * answered, or null when the item was dropped.
+ *
+ * Each flush sends up to `batchSize` items as one pipeline (or one MULTI/EXEC
+ * transaction with `mode: 'multi'`). When Redis is slow or down, failed batches
+ * are retried with backoff and the queue fills up to `maxSize`; past that the
+ * overflow policy decides what gives:
+ *   drop-oldest        discard the oldest queued write
+ *   drop-low-priority  discard the oldest write of the lowest priority
+ *                      (or the new one, when nothing queued ranks below it)
+ *   block              keep everything and make producers wait; `onBlock`/`onUnblock`
+ *                      let the caller pause its source until the queue drains to half
+ */
+
+const OVERFLOW_POLICIES = new Set(['drop-oldest', 'drop-low-priority', 'block']);
+const MAX_BACKOFF_MS = 5000;
+
+class WriteQueue {
+  /**
+   * @param {object} redisClient - connected node-redis client
+   * @param {object} options - { maxSize, batchSize, flushIntervalMs, overflow, mode, onFlushed, onBlock, onUnblock }
+   *   onFlushed: items => ..., called with every batch Redis accepted
+   */
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.maxSize = options.maxSize || 10000;
+    this.batchSize = options.batchSize || 500;
+    this.flushIntervalMs = options.flushIntervalMs || 50;
+    this.overflow = options.overflow || 'drop-oldest';
+    this.mode = options.mode || 'pipeline';
+    this.onFlushed = options.onFlushed || null;
+    this.onBlock = options.onBlock || null;
+    this.onUnblock = options.onUnblock || null;
+
+    if (!OVERFLOW_POLICIES.has(this.overflow)) {
+      throw new Error(`invalid overflow policy: ${this.overflow} (use ${Array.from(OVERFLOW_POLICIES).join(', ')})`);
+    }
+    if (this.mode !== 'pipeline' && this.mode !== 'multi') {
+      throw new Error(`invalid write mode: ${this.mode} (use pipeline or multi)`);
+    }
+
+    this.items = [];                      // { kind, priority, stream, fields, maxLen | commands, done }, oldest first
+    this.priorityCounts = new Map();      // priority -> queued items
+    this.waiting = [];                    // block policy: { item, resolve } waiting for room
+    this.blocked = false;
+    this.flushTimer = null;
+    this.flushing = null;                 // promise of the running flush
+    this.backoffMs = 0;
+    this.closed = false;
+
+    // Metrics
+    this.enqueued = 0;
+    this.written = 0;
+    this.dropped = 0;
+    this.flushes = 0;
+    this.failures = 0;
+    this.blockedCount = 0;
+    this.maxDepthSeen = 0;
+    this.kindCounts = new Map();          // kind -> { written, dropped }
+  }
+
+  get depth() {
+    return this.items.length + this.waiting.length;
+  }
+
+  /**
+   * Queue a write
+   * @param {object} item - { kind, priority, done } plus { stream, fields, maxLen } or { commands }
+   * @returns {Promise} - resolves once queued (only waits under the block policy)
+   */
+  push(item) {
+    if (this.closed) {
+      if (item.done) item.done(null);
+      return Promise.resolve(false);
+    }
+    this.enqueued++;
+
+    if (this.items.length < this.maxSize) {
+      this.add(item);
+      return Promise.resolve(true);
+    }
+
+    if (this.overflow === 'block') {
+      if (!this.blocked) {
+        this.blocked = true;
+        this.blockedCount++;
+        if (this.onBlock) this.onBlock();
+      }
+      this.maxDepthSeen = Math.max(this.maxDepthSeen, this.depth + 1);
+      return new Promise(resolve => this.waiting.push({ item, resolve }));
+    }
+
+    if (this.overflow === 'drop-low-priority') {
+      const lowest = Math.min(...this.priorityCounts.keys());
+      if ((item.priority || 0) <= lowest) {
+        this.discard(item);
+        return Promise.resolve(false);
+      }
+      this.discard(this.remove(this.items.findIndex(queued => (queued.priority || 0) === lowest)));
+    } else {
+      this.discard(this.remove(0));
+    }
+
+    this.add(item);
+    return Promise.resolve(true);
+  }
+
+  add(item) {
+    const priority = item.priority || 0;
+    this.items.push(item);
+    this.priorityCounts.set(priority, (this.priorityCounts.get(priority) || 0) + 1);
+    this.maxDepthSeen = Math.max(this.maxDepthSeen, this.depth);
+    this.scheduleFlush();
+  }
+
+  remove(index) {
+    const [item] = this.items.splice(index, 1);
+    const priority = item.priority || 0;
+    const count = this.priorityCounts.get(priority) - 1;
+    if (count === 0) {
+      this.priorityCounts.delete(priority);
+    } else {
+      this.priorityCounts.set(priority, count);
+    }
+    return item;
+  }
+
+  /**
+   * Count an item as written (with its replies) or dropped (null) and let its owner know
+   */
+  settle(item, replies) {
+    const kind = item.kind || 'event';
+    if (!this.kindCounts.has(kind)) this.kindCounts.set(kind, { written: 0, dropped: 0 });
+    const counts = this.kindCounts.get(kind);
+
+    if (replies) {
+      this.written++;
+      counts.written++;
+    } else {
+      this.dropped++;
+      counts.dropped++;
+    }
+    if (item.done) item.done(replies);
+  }
+
+  discard(item) {
+    this.settle(item, null);
+  }
+
+  static commandCount(item) {
+    return item.commands ? item.commands.length : 1;
+  }
+
+  scheduleFlush() {
+    if (this.flushing || this.flushTimer) return;
+
+    const delay = this.backoffMs || (this.items.length >= this.batchSize ? 0 : this.flushIntervalMs);
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flushing = this.flush().finally(() => {
+        this.flushing = null;
+        if (this.items.length > 0) this.scheduleFlush();
+      });
+    }, delay);
+  }
+
+  /**
+   * Send one batch; on failure it goes back to the front of the queue
+   */
+  async flush() {
+    const batch = [];
+    while (batch.length < this.batchSize && this.items.length > 0) {
+      batch.push(this.remove(0));
+    }
+    if (batch.length === 0) {
+      this.admitWaiting();
+      return;
+    }
+
+    const multi = this.redis.multi();
+    const firstReply = []; // batch index -> index of its first reply
+    let replyCount = 0;
+    for (const item of batch) {
+      firstReply.push(replyCount);
+      replyCount += WriteQueue.commandCount(item);
+
+      if (item.commands) {
+        for (const [command, ...args] of item.commands) multi[command](...args);
+        continue;
+      }
+      multi.xAdd(item.stream, '*', item.fields, {
+        TRIM: {
+          strategy: 'MAXLEN',
+          strategyModifier: '~',
+          threshold: item.maxLen
+        }
+      });
+    }
+    const repliesOf = (replies, index) => replies.slice(firstReply[index], firstReply[index] + WriteQueue.commandCount(batch[index]));
+
+    try {
+      const replies = await (this.mode === 'multi' ? multi.exec() : multi.execAsPipeline());
+      this.flushes++;
+      this.backoffMs = 0;
+      batch.forEach((item, index) => this.settle(item, repliesOf(replies, index)));
+      if (this.onFlushed) this.onFlushed(batch);
+    } catch (err) {
+      this.failures++;
+
+      // Redis got the batch but rejected some commands: their items are not worth retrying
+      if (err.errorIndexes) {
+        const failed = new Set(err.errorIndexes.map(replyIndex => firstReply.findLastIndex(first => first <= replyIndex)));
+        const accepted = [];
+        console.error(`❌ Redis rejected ${failed.size} of ${batch.length} entries:`, err.replies[err.errorIndexes[0]].message);
+        batch.forEach((item, index) => {
+          if (failed.has(index)) {
+            this.discard(item);
+          } else {
+            this.settle(item, repliesOf(err.replies, index));
+            accepted.push(item);
+          }
+        });
+        if (this.onFlushed) this.onFlushed(accepted);
+        this.admitWaiting();
+        return;
+      }
+
+      this.backoffMs = Math.min(Math.max(this.backoffMs * 2, 100), MAX_BACKOFF_MS);
+      console.error(`❌ Redis write of ${batch.length} entries failed, retrying in ${this.backoffMs}ms:`, err.message);
+
+      // Retry in order, keeping within bounds (the oldest give way) unless nothing may be dropped
+      const room = this.overflow === 'block' ? batch.length : Math.max(this.maxSize - this.items.length, 0);
+      const retry = batch.slice(Math.max(batch.length - room, 0));
+      batch.slice(0, batch.length - retry.length).forEach(item => this.discard(item));
+      for (const item of retry.reverse()) {
+        const priority = item.priority || 0;
+        this.items.unshift(item);
+        this.priorityCounts.set(priority, (this.priorityCounts.get(priority) || 0) + 1);
+      }
+    }
+
+    this.admitWaiting();
+  }
+
+  /**
+   * Block policy: move waiting writes in as room frees up, unblock at half full
+   */
+  admitWaiting() {
+    while (this.waiting.length > 0 && this.items.length < this.maxSize) {
+      const { item, resolve } = this.waiting.shift();
+      this.add(item);
+      resolve(true);
+    }
+
+    if (this.blocked && this.waiting.length === 0 && this.items.length <= this.maxSize / 2) {
+      this.blocked = false;
+      if (this.onUnblock) this.onUnblock();
+    }
+  }
+
+  /**
+   * Flush what is queued, giving up after timeoutMs
+   */
+  async drain(timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (this.depth > 0 && Date.now() < deadline) {
+      if (this.flushTimer) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+      }
+      if (this.flushing) {
+        await this.flushing;
+      } else {
+        this.flushing = this.flush();
+        await this.flushing;
+        this.flushing = null;
+      }
+      if (this.backoffMs) await new Promise(resolve => setTimeout(resolve, Math.min(this.backoffMs, deadline - Date.now())));
+    }
+
+    if (this.depth > 0) {
+      console.error(`❌ Dropping ${this.depth} unwritten Redis entries on shutdown`);
+    }
+  }
+
+  async close(timeoutMs) {
+    await this.drain(timeoutMs);
+    this.closed = true;
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    while (this.items.length > 0) this.discard(this.remove(0));
+    for (const { item, resolve } of this.waiting) {
+      this.discard(item);
+      resolve(false);
+    }
+    this.waiting = [];
+  }
+
+  /**
+   * Get current metrics
+   */
+  getMetrics() {
+    return {
+      depth: this.depth,
+      maxDepthSeen: this.maxDepthSeen,
+      maxSize: this.maxSize,
+      enqueued: this.enqueued,
+      written: this.written,
+      dropped: this.dropped,
+      flushes: this.flushes,
+      failures: this.failures,
+      blocked: this.blocked,
+      blockedCount: this.blockedCount,
+      byKind: Object.fromEntries(Array.from(this.kindCounts, ([kind, counts]) => [kind, { ...counts }]))
+    };
+  }
+}
+
+module.exports = WriteQueue;
@@ -0,0 +1,213 @@
+/**
+ * Event Schema
+ * Versioned validation of stream events against docs/contracts.md
+ * (shared by ingest-bgp and gateway)
+ */
+
+const { parsePrefix } = require('./prefix-utils');
+
+const EVENT_TYPES = new Set(['announce', 'withdraw', 'blackhole']);
+const COMMUNITY_TYPES = new Set(['standard', 'extended', 'large']);
+const RPKI_STATUSES = new Set(['valid', 'invalid-asn', 'invalid-length', 'not-found']);
+const ALERT_TYPES = new Set(['moas', 'subprefix', 'route_leak', 'flap']);
+const FLAP_STATES = new Set(['start', 'stop']);
+
+/**
+ * Validators per schema version, each returns a list of problems
+ */
+const VALIDATORS = {
+  'bgp.arc.v0': validateArcV0,
+  'bgp.arc.v1': validateArcV1,
+  'bgp.alert.v0': validateAlertV0
+};
+
+/**
+ * Validate an event
+ * @returns {object} - { valid, errors }
+ */
+function validateEvent(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return { valid: false, errors: ['event is not an object'] };
+  }
+
+  const validator = VALIDATORS[event.schema];
+  if (!validator) {
+    return { valid: false, errors: [`unknown schema: ${event.schema}`] };
+  }
+
+  const errors = validator(event);
+  return { valid: errors.length === 0, errors };
+}
+
+function validateArcV0(event) {
+  const errors = [];
+
+  if (typeof event.ts !== 'number' || !Number.isFinite(event.ts) || event.ts <= 0) {
+    errors.push('ts must be a positive epoch seconds number');
+  }
+
+  if (!EVENT_TYPES.has(event.event)) {
+    errors.push(`event must be one of ${Array.from(EVENT_TYPES).join(', ')}, got ${event.event}`);
+  }
+
+  const prefix = typeof event.prefix === 'string' ? parsePrefix(event.prefix) : null;
+  if (!prefix) {
+    errors.push(`prefix is missing or not a CIDR: ${event.prefix}`);
+  }
+
+  // Address family tag, optional for events written before it existed
+  if (event.family !== undefined && (prefix ? event.family !== prefix.family : ![4, 6].includes(event.family))) {
+    errors.push(`family does not match the prefix: ${event.family}`);
+  }
+
+  if (!isAsn(event.peer_asn)) {
+    errors.push(`peer_asn is not an ASN: ${event.peer_asn}`);
+  }
+
+  // Withdrawals carry an origin only when it was known from the routing state
+  if ((event.event !== 'withdraw' || event.origin_asn !== null) && !isAsn(event.origin_asn)) {
+    errors.push(`origin_asn is not an ASN: ${event.origin_asn}`);
+  }
+
+  // AS_SETs show up as nested arrays
+  if (!Array.isArray(event.as_path) ||
+      !event.as_path.every(hop => isAsn(hop) || (Array.isArray(hop) && hop.every(isAsn)))) {
+    errors.push('as_path must be an array of ASNs');
+  }
+
+  errors.push(...validateLocation(event.src, 'src'));
+  errors.push(...validateLocation(event.dst, 'dst'));
+
+  if (typeof event.color !== 'string' || event.color.length === 0) {
+    errors.push('color is missing');
+  }
+
+  // Peers still seeing the prefix, set on withdrawals
+  if (event.visible_peers !== undefined && (!Number.isInteger(event.visible_peers) || event.visible_peers < 0)) {
+    errors.push(`visible_peers must be a non-negative integer: ${event.visible_peers}`);
+  }
+
+  // Only present when ingest has VRPs loaded
+  if (event.rpki !== undefined && !RPKI_STATUSES.has(event.rpki)) {
+    errors.push(`rpki is not a known status: ${event.rpki}`);
+  }
+
+  // Decoded communities, set on announcements and blackholes
+  if (event.communities !== undefined) {
+    if (!Array.isArray(event.communities)) {
+      errors.push('communities must be an array');
+    } else {
+      event.communities.forEach((community, index) => {
+        if (!community || typeof community.value !== 'string' || !COMMUNITY_TYPES.has(community.type)) {
+          errors.push(`communities[${index}] needs a value and a type (${Array.from(COMMUNITY_TYPES).join(', ')})`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * v1 adds the located hops, collector first
+ */
+function validateArcV1(event) {
+  const errors = validateArcV0(event);
+
+  if (!Array.isArray(event.hops) || event.hops.length === 0) {
+    errors.push('hops must be a non-empty array');
+    return errors;
+  }
+
+  event.hops.forEach((hop, index) => {
+    if (!hop || typeof hop !== 'object') {
+      errors.push(`hops[${index}] is not an object`);
+      return;
+    }
+    if (hop.rrc === undefined && !isAsn(hop.asn)) {
+      errors.push(`hops[${index}] needs an asn or rrc`);
+    }
+    errors.push(...validateLocation(hop, `hops[${index}]`));
+  });
+
+  return errors;
+}
+
+function validateAlertV0(event) {
+  const errors = [];
+
+  if (typeof event.ts !== 'number' || !Number.isFinite(event.ts) || event.ts <= 0) {
+    errors.push('ts must be a positive epoch seconds number');
+  }
+
+  if (!ALERT_TYPES.has(event.alert)) {
+    errors.push(`alert must be one of ${Array.from(ALERT_TYPES).join(', ')}, got ${event.alert}`);
+  }
+
+  if (typeof event.prefix !== 'string' || !parsePrefix(event.prefix)) {
+    errors.push(`prefix is missing or not a CIDR: ${event.prefix}`);
+  }
+
+  // Sub-prefix alerts name the covering prefix they were checked against
+  if (event.alert === 'subprefix' &&
+      (typeof event.covering_prefix !== 'string' || !parsePrefix(event.covering_prefix))) {
+    errors.push(`covering_prefix is missing or not a CIDR: ${event.covering_prefix}`);
+  }
+
+  if (event.alert === 'flap') {
+    if (!FLAP_STATES.has(event.state)) {
+      errors.push(`flap state must be start or stop, got ${event.state}`);
+    }
+  } else if (event.alert === 'route_leak') {
+    for (const field of ['leaker_asn', 'leaked_from', 'leaked_to']) {
+      if (!isAsn(event[field])) {
+        errors.push(`${field} is not an ASN: ${event[field]}`);
+      }
+    }
+  } else {
+    if (!isAsn(event.new_origin)) {
+      errors.push(`new_origin is not an ASN: ${event.new_origin}`);
+    }
+
+    if (!Array.isArray(event.old_origins) || event.old_origins.length === 0 ||
+        !event.old_origins.every(origin => origin && isAsn(origin.asn))) {
+      errors.push('old_origins must be a non-empty list of { asn, first_seen, peers }');
+    }
+  }
+
+  if (!Array.isArray(event.peers) || !event.peers.every(isAsn)) {
+    errors.push('peers must be an array of ASNs');
+  }
+
+  return errors;
+}
+
+function validateLocation(location, field) {
+  if (!location || typeof location !== 'object') {
+    return [`${field} is missing`];
+  }
+
+  const { lat, lng } = location;
+  if (typeof lat !== 'number' || lat < -90 || lat > 90) {
+    return [`${field}.lat out of range: ${lat}`];
+  }
+  if (typeof lng !== 'number' || lng < -180 || lng > 180) {
+    return [`${field}.lng out of range: ${lng}`];
+  }
+
+  // 0,0 is what failed lookups default to, not a real location
+  if (lat === 0 && lng === 0) {
+    return [`${field} is the 0,0 placeholder`];
+  }
+
+  return [];
+}
+
+function isAsn(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 4294967295;
+}
+
+module.exports = {
+  validateEvent,
+  SCHEMAS: Object.keys(VALIDATORS)
+};
@@ -0,0 +1,105 @@
+/**
+ * Metrics
+ * Minimal Prometheus text-format registry (counters, gauges, histograms)
+ * (shared by ingest-bgp and gateway)
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Metrics {
+  constructor() {
+    this.metrics = new Map(); // name -> { type, help, ... }
+    this.collectors = [];     // async hooks run before each scrape
+  }
+
+  counter(name, help) {
+    return this.register(name, { type: 'counter', help, value: 0 });
+  }
+
+  gauge(name, help) {
+    return this.register(name, { type: 'gauge', help, value: 0 });
+  }
+
+  histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    return this.register(name, {
+      type: 'histogram',
+      help,
+      buckets,
+      counts: new Array(buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    });
+  }
+
+  register(name, metric) {
+    this.metrics.set(name, metric);
+    return name;
+  }
+
+  /**
+   * Increase a counter (or gauge) by amount
+   */
+  inc(name, amount = 1) {
+    this.metrics.get(name).value += amount;
+  }
+
+  /**
+   * Set a gauge to an absolute value
+   */
+  set(name, value) {
+    this.metrics.get(name).value = value;
+  }
+
+  /**
+   * Record one observation in a histogram
+   */
+  observe(name, value) {
+    const metric = this.metrics.get(name);
+    metric.sum += value;
+    metric.count++;
+    for (let i = 0; i < metric.buckets.length; i++) {
+      if (value <= metric.buckets[i]) metric.counts[i]++;
+    }
+  }
+
+  /**
+   * Register a hook that refreshes gauges right before a scrape
+   */
+  addCollector(collect) {
+    this.collectors.push(collect);
+  }
+
+  /**
+   * Render all metrics in Prometheus text exposition format
+   */
+  async render() {
+    for (const collect of this.collectors) {
+      try {
+        await collect(this);
+      } catch (error) {
+        console.error('metrics collector error:', error);
+      }
+    }
+
+    const lines = [];
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+
+      if (metric.type === 'histogram') {
+        metric.buckets.forEach((bucket, i) => {
+          lines.push(`${name}_bucket{le="${bucket}"} ${metric.counts[i]}`);
+        });
+        lines.push(`${name}_bucket{le="+Inf"} ${metric.count}`);
+        lines.push(`${name}_sum ${metric.sum}`);
+        lines.push(`${name}_count ${metric.count}`);
+      } else {
+        lines.push(`${name} ${metric.value}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = Metrics;
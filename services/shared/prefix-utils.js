@@ -0,0 +1,128 @@
+/**
+ * Prefix Utilities
+ * IPv4/IPv6 address and prefix parsing with containment checks
+ * (shared by ingest-bgp and gateway)
+ */
+
+/**
+ * Parse an IPv4 or IPv6 address into { family, value } (value is a BigInt)
+ */
+function parseAddress(address) {
+  if (typeof address !== 'string' || address.length === 0) return null;
+
+  if (address.includes(':')) {
+    return parseIPv6(address);
+  }
+
+  return parseIPv4(address);
+}
+
+function parseIPv4(address) {
+  const parts = address.split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0n;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part)) return null;
+    const octet = parseInt(part, 10);
+    if (octet > 255) return null;
+    value = (value << 8n) | BigInt(octet);
+  }
+
+  return { family: 4, value };
+}
+
+function parseIPv6(address) {
+  let text = address;
+
+  // Embedded IPv4 tail (e.g. ::ffff:192.0.2.1)
+  const lastColon = text.lastIndexOf(':');
+  const tail = text.slice(lastColon + 1);
+  if (tail.includes('.')) {
+    const v4 = parseIPv4(tail);
+    if (!v4) return null;
+    const high = Number(v4.value >> 16n).toString(16);
+    const low = Number(v4.value & 0xffffn).toString(16);
+    text = `${text.slice(0, lastColon + 1)}${high}:${low}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - rest.length;
+
+  if (halves.length === 1 && missing !== 0) return null;
+  if (halves.length === 2 && missing < 1) return null;
+
+  const groups = [...head, ...new Array(Math.max(missing, 0)).fill('0'), ...rest];
+
+  let value = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(group)) return null;
+    value = (value << 16n) | BigInt(parseInt(group, 16));
+  }
+
+  return { family: 6, value };
+}
+
+/**
+ * Parse a CIDR prefix into { family, value, length, bits }
+ * The value is masked to the network address.
+ */
+function parsePrefix(prefix) {
+  if (typeof prefix !== 'string') return null;
+
+  const [address, lengthText] = prefix.trim().split('/');
+  const parsed = parseAddress(address);
+  if (!parsed) return null;
+
+  const bits = parsed.family === 4 ? 32 : 128;
+  const length = lengthText === undefined ? bits : Number(lengthText);
+  if (!Number.isInteger(length) || length < 0 || length > bits) return null;
+
+  return {
+    family: parsed.family,
+    value: parsed.value & maskFor(length, bits),
+    length,
+    bits
+  };
+}
+
+function maskFor(length, bits) {
+  if (length === 0) return 0n;
+  const all = (1n << BigInt(bits)) - 1n;
+  return all ^ ((1n << BigInt(bits - length)) - 1n);
+}
+
+/**
+ * Shorten a parsed prefix to `length` bits (its covering prefix at that length)
+ */
+function truncatePrefix(parsed, length) {
+  return {
+    family: parsed.family,
+    value: parsed.value & maskFor(length, parsed.bits),
+    length,
+    bits: parsed.bits
+  };
+}
+
+/**
+ * Check whether `outer` covers `inner` (equal or less specific)
+ * Both arguments are parsed prefixes.
+ */
+function prefixCovers(outer, inner) {
+  if (!outer || !inner) return false;
+  if (outer.family !== inner.family) return false;
+  if (inner.length < outer.length) return false;
+
+  return (inner.value & maskFor(outer.length, outer.bits)) === outer.value;
+}
+
+module.exports = {
+  parseAddress,
+  parsePrefix,
+  truncatePrefix,
+  prefixCovers
+};